@@ -19,12 +19,13 @@
   const hasSelector = !!global.Selector;
 
   // Detect reactive capabilities
-  let effect, batch, isReactive;
+  let effect, batch, isReactive, isRef;
   
   if (hasReactiveUtils) {
     effect = global.ReactiveUtils.effect;
     batch = global.ReactiveUtils.batch;
     isReactive = global.ReactiveUtils.isReactive;
+    isRef = global.ReactiveUtils.isRef;
   } else if (hasElements && typeof global.Elements.effect === 'function') {
     effect = global.Elements.effect;
     batch = global.Elements.batch;
@@ -33,11 +34,51 @@
 
   const hasReactivity = !!(effect && batch);
 
+  // ============================================================================
+  // EXPRESSION CONDITIONS
+  // ============================================================================
+
+  // Keys that use the expression grammar carry an explicit prefix, so
+  // existing keys ('!important', 'rock && roll') keep their meaning:
+  // 'expr:>=10 && <100', 'expr:!empty', 'expr:in:draft,review'
+  const EXPRESSION_PREFIX = 'expr:';
+
+  let warnedNoExpressions = false;
+
+  /**
+   * Evaluate an 'expr:' condition key against a value
+   */
+  function matchesExpression(value, condition) {
+    const source = condition.slice(EXPRESSION_PREFIX.length).trim();
+    const expressions = global.ReactiveExpressions;
+    if (!expressions || typeof expressions.predicate !== 'function') {
+      if (!warnedNoExpressions) {
+        warnedNoExpressions = true;
+        console.warn(`[Conditions] "${condition}" needs 14_dh-reactive-expressions.js`);
+      }
+      return false;
+    }
+
+    try {
+      return expressions.predicate(source)(value);
+    } catch (e) {
+      console.warn('[Conditions] Error evaluating condition:', condition, e.message);
+      return false;
+    }
+  }
+
   // ============================================================================
   // CONDITION MATCHERS REGISTRY (Strategy Pattern)
   // ============================================================================
 
   const conditionMatchers = {
+    // Expressions: 'expr:>=10 && <100', 'expr:!empty', 'expr:in:draft,review',
+    // 'expr:length>3', 'expr:user.role === "admin"'
+    expression: {
+      test: (condition) => condition.startsWith(EXPRESSION_PREFIX),
+      match: matchesExpression
+    },
+
     // Boolean literals
     booleanTrue: {
       test: (condition) => condition === 'true',
@@ -539,14 +580,227 @@
     });
   }
 
+  // ============================================================================
+  // TRANSITIONS
+  // ============================================================================
+
+  function nextFrame(fn) {
+    const raf = typeof global.requestAnimationFrame === 'function'
+      ? global.requestAnimationFrame.bind(global)
+      : (cb) => setTimeout(cb, 16);
+    // Two frames so the "from" state is painted before it changes
+    raf(() => raf(fn));
+  }
+
+  function toMs(value) {
+    const text = String(value).trim();
+    const number = parseFloat(text) || 0;
+    return text.endsWith('ms') ? number : number * 1000;
+  }
+
+  /**
+   * Longest CSS transition/animation (duration + delay) in ms
+   */
+  function cssDuration(element) {
+    if (typeof global.getComputedStyle !== 'function') return 0;
+    const style = global.getComputedStyle(element);
+    const longest = (durations, delays) => {
+      const delayList = String(delays || '0s').split(',').map(toMs);
+      return String(durations || '0s').split(',').map(toMs).reduce((max, duration, i) => {
+        return Math.max(max, duration + delayList[i % delayList.length]);
+      }, 0);
+    };
+    return Math.max(
+      longest(style.transitionDuration, style.transitionDelay),
+      longest(style.animationDuration, style.animationDelay)
+    );
+  }
+
+  function phaseDuration(transition, phase) {
+    const duration = transition.duration;
+    if (typeof duration === 'number') return duration;
+    if (duration && typeof duration[phase] === 'number') return duration[phase];
+    return undefined;
+  }
+
+  /**
+   * Wait for transitionend/animationend, or the timeout
+   */
+  function waitForEnd(element, timeout, run, done, useEvents) {
+    let timer = null;
+    const onEnd = (event) => {
+      if (event.target === element) finish();
+    };
+    const stop = () => {
+      clearTimeout(timer);
+      element.removeEventListener('transitionend', onEnd);
+      element.removeEventListener('animationend', onEnd);
+    };
+    const finish = () => {
+      stop();
+      if (!run.cancelled) done();
+    };
+
+    run.cleanups.push(stop);
+    if (useEvents) {
+      element.addEventListener('transitionend', onEnd);
+      element.addEventListener('animationend', onEnd);
+    }
+    // Safety net: the end events never fire for interrupted transitions
+    timer = setTimeout(finish, useEvents ? timeout + 50 : timeout);
+  }
+
+  /**
+   * Run one phase ('enter' or 'leave') of a transition, then call done()
+   * - keyframes (or { keyframes, options }): Web Animations API
+   * - otherwise CSS classes: name-phase-from, name-phase-active, name-phase-to
+   */
+  function runPhase(element, phase, transition, run, done) {
+    const spec = transition[phase];
+    if (spec === false) {
+      done();
+      return;
+    }
+
+    run.phase = phase;
+    const duration = phaseDuration(transition, phase);
+
+    if (spec && typeof spec === 'object') {
+      if (typeof element.animate !== 'function') {
+        done();
+        return;
+      }
+      const keyframes = 'keyframes' in spec ? spec.keyframes : spec;
+      const animation = element.animate(keyframes, {
+        duration: duration !== undefined ? duration : 300,
+        easing: transition.easing || 'ease',
+        ...spec.options
+      });
+      run.cleanups.push(() => animation.cancel());
+      animation.onfinish = () => {
+        if (!run.cancelled) done();
+      };
+      return;
+    }
+
+    const name = typeof spec === 'string' ? spec : (transition.name || 'when');
+    const from = `${name}-${phase}-from`;
+    const active = `${name}-${phase}-active`;
+    const to = `${name}-${phase}-to`;
+
+    element.classList.add(from, active);
+    run.cleanups.push(() => element.classList.remove(from, active, to));
+
+    nextFrame(() => {
+      if (run.cancelled) return;
+      element.classList.remove(from);
+      element.classList.add(to);
+
+      const timeout = duration !== undefined ? duration : cssDuration(element);
+      waitForEnd(element, timeout, run, () => {
+        element.classList.remove(active, to);
+        done();
+      }, duration === undefined && timeout > 0);
+    });
+  }
+
+  function cancelRun(run) {
+    run.cancelled = true;
+    run.cleanups.forEach(cleanup => cleanup());
+    run.cleanups = [];
+  }
+
+  /**
+   * Transition state for one whenState() call
+   */
+  function createTransitionContext(transition) {
+    return {
+      options: transition === true ? {} : transition,
+      elements: new WeakMap(), // element -> { applied, run }
+      runs: new Set()
+    };
+  }
+
+  /**
+   * Switch an element to the branch `key`: leave, apply, enter
+   * A newer switch cancels the one in flight
+   */
+  function transitionBranch(element, key, apply, context) {
+    const transition = context.options;
+    let record = context.elements.get(element);
+
+    const start = (withLeave) => {
+      const run = { key, apply, phase: null, cancelled: false, cleanups: [] };
+      record.run = run;
+      context.runs.add(run);
+
+      const finish = () => {
+        context.runs.delete(run);
+        if (record.run === run) record.run = null;
+      };
+      const enter = () => {
+        run.apply();
+        record.applied = key;
+        runPhase(element, 'enter', transition, run, finish);
+      };
+
+      if (withLeave) {
+        runPhase(element, 'leave', transition, run, enter);
+      } else {
+        enter();
+      }
+    };
+
+    // First render: no transition unless `appear` is set
+    if (!record) {
+      record = { applied: key, run: null };
+      context.elements.set(element, record);
+      if (transition.appear && key !== null) {
+        start(false);
+      } else {
+        apply();
+      }
+      return;
+    }
+
+    const running = record.run;
+    const target = running ? running.key : record.applied;
+
+    // Same branch: refresh it; a pending leave applies the latest config
+    if (key === target) {
+      if (running && running.phase === 'leave') {
+        running.apply = apply;
+      } else {
+        apply();
+      }
+      return;
+    }
+
+    if (running) {
+      cancelRun(running);
+      context.runs.delete(running);
+      record.run = null;
+    }
+
+    if (key === null) {
+      // Nothing matched: only listener cleanup, no animation
+      apply();
+      record.applied = key;
+    } else {
+      // Flipped back mid-leave: the branch is still on screen, just enter
+      start(key !== record.applied);
+    }
+  }
+
   // ============================================================================
   // CORE LOGIC
   // ============================================================================
 
   /**
    * Core logic: Apply conditions to elements
+   * @param {Object} [transitionContext] - From createTransitionContext()
    */
-  function applyConditions(getValue, conditions, selector) {
+  function applyConditions(getValue, conditions, selector, transitionContext) {
     // Get target elements
     const elements = getElements(selector);
     
@@ -575,15 +829,27 @@
     
     // Apply to all matching elements
     elements.forEach(element => {
-      // Cleanup previous event listeners
-      cleanupListeners(element);
-      
-      // Find matching condition and apply config
+      // Find matching condition (only the first match applies)
+      let matched = null;
       for (const [condition, config] of Object.entries(conditionsObj)) {
         if (matchesCondition(value, condition)) {
-          applyConfig(element, config, value);
-          break; // Only apply first matching condition
+          matched = { condition, config };
+          break;
+        }
+      }
+
+      const apply = () => {
+        // Cleanup previous event listeners
+        cleanupListeners(element);
+        if (matched) {
+          applyConfig(element, matched.config, value);
         }
+      };
+
+      if (transitionContext) {
+        transitionBranch(element, matched ? matched.condition : null, apply, transitionContext);
+      } else {
+        apply();
       }
     });
   }
@@ -594,10 +860,14 @@
 
   const Conditions = {
     /**
-     * @param {Function|*} valueFn - Function returning state value OR direct value
+     * @param {Function|Object|*} valueFn - Function returning state value, a ref / computedRef, OR direct value
      * @param {Object|Function} conditions - Condition mappings (object or function returning object for dynamic conditions)
      * @param {string|Element|NodeList} selector - Target elements
-     * @param {Object} options - { reactive: boolean, watch: boolean }
+     * @param {Object} options - { reactive: boolean, watch: boolean, transition: Object }
+     *   transition: { name = 'when', enter, leave, duration, easing, appear }
+     *     enter/leave: false to skip, a class name prefix, or keyframes /
+     *     { keyframes, options } for the Web Animations API
+     *     duration: ms, or { enter, leave }; CSS durations are read otherwise
      */
     whenState(valueFn, conditions, selector, options = {}) {
       // Validate inputs
@@ -606,6 +876,12 @@
         return;
       }
 
+      // Refs and computed refs are read through .value
+      if (typeof isRef === 'function' && isRef(valueFn)) {
+        const ref = valueFn;
+        valueFn = () => ref.value;
+      }
+
       // Determine if we should use reactive mode
       const useReactive = options.reactive !== false && hasReactivity;
       const isFunction = typeof valueFn === 'function';
@@ -618,20 +894,39 @@
                                     typeof isReactive === 'function' && 
                                     isReactive(valueFn());
 
+      // Branch changes animate when a transition is configured
+      const transitionContext = options.transition
+        ? createTransitionContext(options.transition)
+        : null;
+      const cancelTransitions = () => {
+        if (transitionContext) {
+          transitionContext.runs.forEach(cancelRun);
+          transitionContext.runs.clear();
+        }
+      };
+
       // Decide execution mode
       if (useReactive && (isFunction || valueIsReactiveState)) {
         // REACTIVE MODE: Use effect for automatic updates
-        return effect(() => {
-          applyConditions(getValue, conditions, selector);
+        const stop = effect(() => {
+          applyConditions(getValue, conditions, selector, transitionContext);
         });
+        if (!transitionContext) return stop;
+
+        const dispose = () => {
+          cancelTransitions();
+          stop();
+        };
+        dispose.effect = stop.effect;
+        return dispose;
       } else {
         // NON-REACTIVE MODE: Execute once
-        applyConditions(getValue, conditions, selector);
+        applyConditions(getValue, conditions, selector, transitionContext);
         
         // Return update function for manual updates if needed
         return {
-          update: () => applyConditions(getValue, conditions, selector),
-          destroy: () => {} // No cleanup needed in non-reactive mode
+          update: () => applyConditions(getValue, conditions, selector, transitionContext),
+          destroy: cancelTransitions
         };
       }
     },
@@ -696,6 +991,11 @@
       return Object.keys(propertyHandlers);
     },
 
+    /**
+     * 'expr:' condition matcher, shared with other condition modules
+     */
+    expressionMatcher: conditionMatchers.expression,
+
     /**
      * Check if reactive mode is available
      */
@@ -104,6 +104,12 @@
   function matchesCondition(value, condition) {
     condition = String(condition).trim();
     
+    // 'expr:' keys use the matcher from Conditions.whenState() when loaded
+    const expressionMatcher = global.Conditions && global.Conditions.expressionMatcher;
+    if (expressionMatcher && expressionMatcher.test(condition)) {
+      return expressionMatcher.match(value, condition);
+    }
+    
     // Boolean literals
     if (condition === 'true') return value === true;
     if (condition === 'false') return value === false;
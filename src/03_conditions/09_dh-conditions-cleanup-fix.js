@@ -139,6 +139,19 @@
   // Store original method
   const _originalWhenState = Conditions.whenState;
 
+  /**
+   * Tie a cleanup object to the active ReactiveUtils.effectScope(), if any,
+   * so scope.stop() also removes the listeners
+   */
+  function registerWithScope(cleanup) {
+    const ReactiveUtils = global.ReactiveUtils;
+    if (ReactiveUtils && typeof ReactiveUtils.getCurrentScope === 'function' &&
+        ReactiveUtils.getCurrentScope()) {
+      ReactiveUtils.onScopeDispose(() => cleanup.destroy());
+    }
+    return cleanup;
+  }
+
   /**
    * Enhanced whenState with proper listener cleanup
    */
@@ -171,9 +184,29 @@
     // Call original whenState
     const originalCleanup = _originalWhenState.call(this, valueFn, conditions, selector, options);
 
+    // Reactive mode returns the effect disposer
+    if (typeof originalCleanup === 'function') {
+      return registerWithScope({
+        update: () => {
+          if (!isDestroyed) {
+            trackElements();
+            if (originalCleanup.effect) originalCleanup.effect();
+          }
+        },
+        destroy: () => {
+          if (!isDestroyed) {
+            cleanupAllListeners(trackedElements);
+            trackedElements.clear();
+            originalCleanup();
+            isDestroyed = true;
+          }
+        }
+      });
+    }
+
     // If original returned nothing, return enhanced cleanup
     if (!originalCleanup || typeof originalCleanup !== 'object') {
-      return {
+      return registerWithScope({
         update: () => {
           if (!isDestroyed) {
             trackElements();
@@ -187,11 +220,15 @@
             isDestroyed = true;
           }
         }
-      };
+      });
     }
 
     // Wrap the original cleanup with enhanced listener cleanup
-    return {
+    return registerWithScope({
+      // Preserve any additional properties from original cleanup
+      // (spread first so the enhanced update/destroy below win)
+      ...originalCleanup,
+
       update: () => {
         if (!isDestroyed) {
           trackElements();
@@ -223,11 +260,8 @@
         isDestroyed = true;
 
         console.log('[Conditions.CleanupFix] ✓ Cleanup completed');
-      },
-
-      // Preserve any additional properties from original cleanup
-      ...(originalCleanup || {})
-    };
+      }
+    });
   };
 
   // Preserve the original for reference
@@ -1,7 +1,7 @@
 /**
  * 01_dh-reactive
  * 
- * DOM Helpers - Reactive State Extension v2.0.2
+ * DOM Helpers - Reactive State Extension v2.1.0
  * Production-ready with all README features
  * @license MIT
  */
@@ -14,13 +14,38 @@
   const hasSelector = !!global.Selector;
 
   // State management
-  const reactiveMap = new WeakMap();
+  const reactiveMap = new WeakMap(); // proxy -> meta
+  const metaMap = new WeakMap(); // raw object -> meta, shared by all its proxies
+  const proxyCache = new WeakMap(); // raw object -> proxy
+  const shallowCache = new WeakMap();
+  const readonlyCache = new WeakMap();
+  const rawObjects = new WeakSet(); // marked with markRaw()
   let currentEffect = null;
+  let activeScope = null;
   let batchDepth = 0;
-  let pendingUpdates = new Set();
+  let pendingUpdates = new Map(); // job -> priority
 
   const RAW = Symbol('raw');
   const IS_REACTIVE = Symbol('reactive');
+  const IS_REF = Symbol('ref');
+  const ITERATE_KEY = Symbol('iterate'); // dep key for key additions/removals
+  const IS_READONLY = Symbol('readonly');
+  const IS_SHALLOW = Symbol('shallow');
+
+  // Built-in objects that are never made reactive. Extend with registerRawType()
+  const skipReactive = new Set([
+    'AbortController',
+    'AbortSignal',
+    'Promise',
+    'Date',
+    'RegExp',
+    'Error',
+    'Map',
+    'Set',
+    'WeakMap',
+    'WeakSet'
+  ]);
+  const skipConstructors = [];
 
   // Utilities
   function isReactive(v) {
@@ -31,6 +56,55 @@
     return (v && v[RAW]) || v;
   }
 
+  function isRef(v) {
+    return !!(v && v[IS_REF]);
+  }
+
+  function isReadonly(v) {
+    return !!(v && v[IS_READONLY]);
+  }
+
+  function isShallow(v) {
+    return !!(v && v[IS_SHALLOW]);
+  }
+
+  // Values that stay as they are: registered types, markRaw() and DOM nodes
+  function shouldSkip(value) {
+    if (rawObjects.has(value)) return true;
+    const constructorName = value.constructor?.name;
+    if (constructorName && skipReactive.has(constructorName)) return true;
+    if (skipConstructors.some(Ctor => value instanceof Ctor)) return true;
+    if (typeof Node !== 'undefined' && value instanceof Node) return true;
+    return false;
+  }
+
+  // Never proxy this object, wherever it ends up in a state
+  function markRaw(obj) {
+    if (obj && typeof obj === 'object') rawObjects.add(obj);
+    return obj;
+  }
+
+  // Register extra constructors (or constructor names) to store as-is
+  function registerRawType(...types) {
+    types.forEach(type => {
+      if (typeof type === 'function') {
+        if (!skipConstructors.includes(type)) skipConstructors.push(type);
+      } else if (typeof type === 'string') {
+        skipReactive.add(type);
+      } else {
+        console.error('[Reactive] registerRawType() expects a constructor or constructor name');
+      }
+    });
+  }
+
+  function hasOwn(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  function isArrayIndex(key) {
+    return typeof key === 'string' && key !== '' && String(key >>> 0) === key && key !== '4294967295';
+  }
+
   // Batching
   function batch(fn) {
     batchDepth++;
@@ -42,24 +116,273 @@
     }
   }
 
+  // Scheduler
+  // Every queued job runs through one queue, ordered by priority inside a
+  // flush: watchers first, then effects, then DOM bindings.
+  const PRIORITY = {
+    COMPUTED: 1,
+    WATCH: 2,
+    EFFECT: 3,
+    POST: 4
+  };
+
+  const FLUSH_PRIORITY = {
+    pre: PRIORITY.WATCH,
+    sync: PRIORITY.EFFECT,
+    post: PRIORITY.POST,
+    animationFrame: PRIORITY.POST
+  };
+
+  const MAX_FLUSH_ITERATIONS = 100;
+  const frameQueue = new Set();
+  let isFlushing = false;
+  let flushPromise = null;
+  let frameHandle = null;
+
   function flush() {
-    if (pendingUpdates.size === 0) return;
-    const updates = Array.from(pendingUpdates);
-    pendingUpdates.clear();
-    updates.forEach(fn => {
-      try { fn(); } 
-      catch (e) { console.error('[Reactive] Error:', e); }
+    if (isFlushing || pendingUpdates.size === 0) return;
+    isFlushing = true;
+    let iterations = 0;
+
+    try {
+      while (pendingUpdates.size > 0) {
+        if (++iterations > MAX_FLUSH_ITERATIONS) {
+          console.error(
+            '[Reactive] Infinite update loop detected. ' +
+            'An effect may be modifying state that triggers itself.'
+          );
+          pendingUpdates.clear();
+          break;
+        }
+
+        // Jobs queued while running are picked up by the next iteration.
+        // A job that already ran in this round (e.g. a sync effect triggered
+        // by an earlier job) is no longer pending and is skipped.
+        const jobs = Array.from(pendingUpdates).sort((a, b) => a[1] - b[1]);
+        jobs.forEach(([fn]) => {
+          if (!pendingUpdates.has(fn)) return;
+          pendingUpdates.delete(fn);
+          if (fn.active === false) return;
+          try { fn(); } 
+          catch (e) { console.error('[Reactive] Error:', e); }
+        });
+      }
+    } finally {
+      isFlushing = false;
+    }
+  }
+
+  function queueJob(fn, priority = PRIORITY.EFFECT) {
+    const queued = pendingUpdates.get(fn);
+    pendingUpdates.set(fn, queued === undefined ? priority : Math.min(queued, priority));
+    if (batchDepth === 0 && !isFlushing) scheduleFlush();
+  }
+
+  function scheduleFlush() {
+    if (flushPromise) return;
+    flushPromise = Promise.resolve().then(() => {
+      flushPromise = null;
+      if (batchDepth === 0) flush();
+    });
+  }
+
+  function flushFrame() {
+    frameHandle = null;
+    const jobs = Array.from(frameQueue);
+    frameQueue.clear();
+    batch(() => {
+      jobs.forEach(fn => {
+        if (fn.active === false) return;
+        try { fn(); }
+        catch (e) { console.error('[Reactive] Error:', e); }
+      });
     });
   }
 
-  function queueUpdate(fn) {
-    if (batchDepth > 0) {
-      pendingUpdates.add(fn);
+  function scheduleFrame() {
+    if (frameHandle !== null) return;
+    frameHandle = typeof global.requestAnimationFrame === 'function'
+      ? { raf: global.requestAnimationFrame(flushFrame) }
+      : { timeout: setTimeout(flushFrame, 16) };
+  }
+
+  // Run everything that is queued right now, including animation-frame jobs
+  function flushSync() {
+    flush();
+    if (frameHandle !== null) {
+      if (frameHandle.raf !== undefined) global.cancelAnimationFrame(frameHandle.raf);
+      else clearTimeout(frameHandle.timeout);
+      flushFrame();
+    }
+  }
+
+  // Resolves after the pending microtask flush has run
+  function nextTick(fn) {
+    const p = flushPromise || Promise.resolve();
+    return fn ? p.then(fn) : p;
+  }
+
+  function queueUpdate(effect) {
+    // Paused by its effect scope: run once on resume()
+    if (effect.paused) {
+      effect.dirtyWhilePaused = true;
+      return;
+    }
+
+    if (effect.scheduler) {
+      effect.scheduler(effect);
+      return;
+    }
+
+    if (effect.flush === 'animationFrame') {
+      frameQueue.add(effect);
+      scheduleFrame();
+      return;
+    }
+
+    if (effect.flush === 'sync' && batchDepth === 0) {
+      pendingUpdates.delete(effect);
+      effect();
     } else {
-      fn();
+      queueJob(effect, effect.priority);
+    }
+  }
+
+  // Dependency tracking
+  // Each effect keeps a list of the dep Sets it was added to, so a re-run or
+  // a dispose can remove it from exactly those (state, key) subscriptions.
+  function track(deps, key) {
+    if (!currentEffect) return;
+
+    let dep = deps.get(key);
+    if (!dep) {
+      dep = new Set();
+      deps.set(key, dep);
     }
+    if (!dep.has(currentEffect)) {
+      dep.add(currentEffect);
+      currentEffect.deps.push({ deps, key, dep });
+    }
+  }
+
+  // Several keys can be triggered at once; each effect is queued once
+  function trigger(meta, ...keys) {
+    const subscribers = new Set();
+    keys.forEach(key => {
+      const dep = meta.deps.get(key);
+      if (dep) dep.forEach(sub => subscribers.add(sub));
+    });
+    notifySubscribers(subscribers);
+  }
+
+  // Computeds subscribe to their sources like effects do. On a change every
+  // computed downstream of it is marked dirty first, then the observed ones
+  // are re-evaluated, and effects are queued last - so an effect never reads
+  // a stale computed, and a computed whose value did not change does not
+  // re-run anything. Inside a batch the re-evaluation waits for the flush.
+  function notifySubscribers(subscribers) {
+    const effects = new Set();
+    const nodes = [];
+    markDirty(subscribers, effects, nodes);
+
+    if (nodes.length > 0 && batchDepth > 0) {
+      queueJob(() => {
+        const changed = new Set();
+        checkComputeds(nodes, changed);
+        changed.forEach(queueUpdate);
+      }, PRIORITY.COMPUTED);
+    } else if (nodes.length > 0) {
+      checkComputeds(nodes, effects);
+    }
+
+    effects.forEach(queueUpdate);
   }
 
+  // `effects` is null for nodes reached transitively: their effects only
+  // run if the computed in between actually changes
+  function markDirty(subscribers, effects, nodes) {
+    subscribers.forEach(sub => {
+      if (!sub.computed) {
+        if (effects) effects.add(sub);
+        return;
+      }
+      if (sub.dirty || !sub.active) return;
+      sub.dirty = true;
+      if (!sub.pending && sub.subscribers().size > 0) {
+        sub.pending = true;
+        sub.prev = sub.value;
+        nodes.push(sub);
+        markDirty(sub.subscribers(), null, nodes);
+      }
+    });
+  }
+
+  function checkComputeds(nodes, effects) {
+    nodes.forEach(node => {
+      if (!node.pending) return;
+      node.pending = false;
+      if (!node.active) return;
+      if (node.dirty) {
+        try { node(); }
+        catch (e) { console.error('[Reactive] Error:', e); return; }
+      }
+      if (!Object.is(node.prev, node.value)) {
+        node.subscribers().forEach(sub => !sub.computed && effects.add(sub));
+      }
+      node.prev = undefined;
+    });
+  }
+
+  function cleanupEffect(effect) {
+    effect.deps.forEach(({ deps, key, dep }) => {
+      dep.delete(effect);
+      if (dep.size === 0 && deps.get(key) === dep) deps.delete(key);
+    });
+    effect.deps.length = 0;
+  }
+
+  function stopEffect(effect) {
+    if (!effect || !effect.active) return;
+    effect.active = false;
+    cleanupEffect(effect);
+    pendingUpdates.delete(effect);
+    frameQueue.delete(effect);
+  }
+
+  // Stop every effect currently subscribed to one state
+  function stopStateEffects(state) {
+    const meta = reactiveMap.get(state);
+    if (!meta) return;
+    const effects = new Set();
+    meta.deps.forEach(dep => dep.forEach(effect => effects.add(effect)));
+    meta.computedMap.forEach(comp => effects.add(comp));
+    effects.forEach(stopEffect);
+  }
+
+  // Array instrumentation
+  // Mutators run untracked (so an effect that pushes does not subscribe to
+  // `length` and re-trigger itself) and inside a batch, so one push notifies
+  // once instead of once per index and length write.
+  const arrayInstrumentations = {};
+
+  ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(method => {
+    arrayInstrumentations[method] = function(...args) {
+      return batch(() => untrack(() => Array.prototype[method].apply(this, args)));
+    };
+  });
+
+  // The raw array holds raw items while reads return proxies, so identity
+  // searches retry against the raw array when the first pass misses
+  ['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+    arrayInstrumentations[method] = function(...args) {
+      const result = Array.prototype[method].apply(this, args);
+      if (result === -1 || result === false) {
+        return Array.prototype[method].apply(toRaw(this), args.map(toRaw));
+      }
+      return result;
+    };
+  });
+
   // Create reactive proxy
   /*function createReactive(target) {
     if (!target || typeof target !== 'object') return target;
@@ -156,85 +479,61 @@
 
 
 function createReactive(target) {
-  if (!target || typeof target !== 'object') return target;
   if (isReactive(target)) return target;
-  
-  // ============================================================================
-  // ADD THIS: Don't make built-in objects reactive
-  // ============================================================================
-  const skipReactive = [
-    'AbortController',
-    'AbortSignal', 
-    'Promise',
-    'Date',
-    'RegExp',
-    'Error',
-    'Map',
-    'Set',
-    'WeakMap',
-    'WeakSet'
-  ];
-  
-  const constructorName = target.constructor?.name;
-  if (constructorName && skipReactive.includes(constructorName)) {
-    return target;
-  }
-  
-  // Also skip DOM nodes
-  if (typeof Node !== 'undefined' && target instanceof Node) {
-    return target;
-  }
-  
-  if (typeof Element !== 'undefined' && target instanceof Element) {
-    return target;
+  return createProxy(target, proxyCache, false, false);
+}
+
+// Only top-level properties are reactive; nested objects are returned raw
+function shallowState(target) {
+  if (isReactive(target)) return target;
+  return createProxy(target, shallowCache, true, false);
+}
+
+// Read-only view: tracks like the original (same deps), warns on writes
+function readonly(target) {
+  if (isReadonly(target)) return target;
+  return createProxy(toRaw(target), readonlyCache, false, true);
+}
+
+function createProxy(target, cache, shallow, isReadonlyProxy) {
+  if (!target || typeof target !== 'object') return target;
+  if (cache.has(target)) return cache.get(target);
+
+  // Don't make built-in objects, markRaw() objects or DOM nodes reactive
+  if (shouldSkip(target)) return target;
+
+  // Proxies of the same object (deep, shallow, readonly) share one meta
+  let meta = metaMap.get(target);
+  if (!meta) {
+    meta = { deps: new Map(), computedMap: new Map() };
+    metaMap.set(target, meta);
   }
-  // ============================================================================
+  const { deps, computedMap } = meta;
 
-  const deps = new Map();
-  const computedMap = new Map();
+  const warnReadonly = (key) => {
+    console.warn(`[Reactive] Cannot modify "${String(key)}": state is readonly`);
+    return true;
+  };
 
   const proxy = new Proxy(target, {
     get(obj, key) {
       if (key === RAW) return target;
       if (key === IS_REACTIVE) return true;
+      if (key === IS_READONLY) return isReadonlyProxy;
+      if (key === IS_SHALLOW) return shallow;
 
       // Track dependency
-      if (currentEffect && typeof key !== 'symbol') {
-        if (!deps.has(key)) deps.set(key, new Set());
-        deps.get(key).add(currentEffect);
-        if (currentEffect.onDep) currentEffect.onDep(key);
+      if (typeof key !== 'symbol') {
+        track(deps, key);
       }
 
-      let value = obj[key];
-
       // Handle computed
       if (computedMap.has(key)) {
-        const comp = computedMap.get(key);
-        if (comp.dirty) {
-          comp.deps.clear();
-          const prevEffect = currentEffect;
-          currentEffect = { 
-            isComputed: true,
-            onDep: (k) => comp.deps.add(k)
-          };
-          try {
-            value = comp.fn.call(proxy);
-            comp.value = value;
-            comp.dirty = false;
-          } finally {
-            currentEffect = prevEffect;
-          }
-        }
-        value = comp.value;
-        
-        if (currentEffect && !currentEffect.isComputed) {
-          if (!deps.has(key)) deps.set(key, new Set());
-          deps.get(key).add(currentEffect);
-        }
-        
-        return value;
+        return computedMap.get(key).get();
       }
 
+      let value = obj[key];
+
       // Deep reactivity - BUT skip built-in objects
      /* if (value && typeof value === 'object' && !isReactive(value)) {
         // Check if it's a built-in object before making reactive
@@ -251,68 +550,102 @@ function createReactive(target) {
     }, */
     
 
-// Deep reactivity - BUT skip built-in objects
-if (value && typeof value === 'object' && !isReactive(value)) {
-  // Check if it's a built-in object before making reactive
-  const valueConstructor = value.constructor?.name;
-  const shouldSkip = valueConstructor && skipReactive.includes(valueConstructor);
-  
-  if (!shouldSkip && !(value instanceof Node) && !(value instanceof Element)) {
-    value = createReactive(value);
-    
-    // Check if property is writable before assigning
-    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
-    const isWritable = !descriptor || (descriptor.writable !== false && !descriptor.get);
-    
-    if (isWritable) {
-      obj[key] = value;
-    }
-  }
-}
+      // Array mutators and identity searches
+      if (Array.isArray(obj) && hasOwn(arrayInstrumentations, key)) {
+        return arrayInstrumentations[key];
+      }
 
-return value;
+      // Deep reactivity - nested objects are wrapped on access and cached by
+      // their raw target, so the raw tree never holds proxies.
+      // createProxy() skips built-in objects, markRaw() objects and DOM nodes.
+      if (value && typeof value === 'object' && !shallow) {
+        return isReadonlyProxy ? readonly(value) : createReactive(value);
+      }
+
+      return value;
     },
 
 
     set(obj, key, value) {
-      if (obj[key] === value) return true;
-      
+      if (isReadonlyProxy) return warnReadonly(key);
+
+      // Computed properties route writes through their setter
+      const comp = meta.computedMap.get(key);
+      if (comp) {
+        if (comp.setter) {
+          batch(() => comp.setter.call(proxy, value));
+        } else {
+          console.warn(`[Reactive] Computed property "${String(key)}" is read-only`);
+        }
+        return true;
+      }
+
       // Don't try to convert built-in objects
       const rawValue = toRaw(value);
-      const constructorName = rawValue?.constructor?.name;
-      const shouldSkip = constructorName && skipReactive.includes(constructorName);
+      const isArray = Array.isArray(obj);
+      const oldLength = isArray ? obj.length : 0;
+      const hadKey = hasOwn(obj, key);
+
+      if (hadKey && obj[key] === rawValue) return true;
       
-      if (shouldSkip || rawValue instanceof Node || rawValue instanceof Element) {
-        obj[key] = rawValue; // Store as-is without making reactive
-      } else {
-        obj[key] = rawValue;
-      }
+      obj[key] = rawValue;
       
       // Trigger updates
-      const effects = deps.get(key);
-      if (effects) {
-        computedMap.forEach((comp, compKey) => {
-          if (comp.deps.has(key)) {
-            comp.dirty = true;
-            const compDeps = deps.get(compKey);
-            if (compDeps) {
-              compDeps.forEach(effect => {
-                if (effect && !effect.isComputed) {
-                  queueUpdate(effect);
-                }
-              });
-            }
-          }
-        });
-        
-        effects.forEach(effect => {
-          if (effect && !effect.isComputed) {
-            queueUpdate(effect);
-          }
-        });
+      if (isArray) {
+        if (key === 'length') {
+          // Truncation removes every index at or past the new length
+          const removed = [];
+          meta.deps.forEach((dep, depKey) => {
+            if (isArrayIndex(depKey) && Number(depKey) >= obj.length) removed.push(depKey);
+          });
+          trigger(meta, key, ...removed);
+        } else if (isArrayIndex(key) && Number(key) >= oldLength) {
+          // Writing past the end grows the array; `length` is updated
+          // implicitly and never reaches this trap
+          trigger(meta, key, 'length');
+        } else {
+          trigger(meta, key);
+        }
+      } else if (!hadKey) {
+        trigger(meta, key, ITERATE_KEY);
+      } else {
+        trigger(meta, key);
       }
       
       return true;
+    },
+
+    // `key in state`
+    has(obj, key) {
+      if (typeof key !== 'symbol') {
+        track(deps, key);
+      }
+      return Reflect.has(obj, key);
+    },
+
+    // Object.keys / for...in / Object.entries; arrays iterate by length
+    ownKeys(obj) {
+      track(deps, Array.isArray(obj) ? 'length' : ITERATE_KEY);
+      return Reflect.ownKeys(obj);
+    },
+
+    deleteProperty(obj, key) {
+      if (isReadonlyProxy) return warnReadonly(key);
+
+      const hadKey = hasOwn(obj, key);
+
+      // Deleting a computed also drops its subscriptions
+      const comp = computedMap.get(key);
+      if (comp) {
+        stopEffect(comp);
+        computedMap.delete(key);
+      }
+
+      const result = Reflect.deleteProperty(obj, key);
+      if (hadKey && result) {
+        trigger(meta, key, ITERATE_KEY);
+      }
+      return result;
     }
   });
 
@@ -320,14 +653,15 @@ return value;
 
 
 
-    reactiveMap.set(proxy, { deps, computedMap });
+    reactiveMap.set(proxy, meta);
+    cache.set(target, proxy);
     
     // Add instance methods (check if they don't already exist)
     if (!proxy.$computed) {
       Object.defineProperties(proxy, {
         $computed: {
-          value: function(key, fn) {
-            addComputed(this, key, fn);
+          value: function(key, def) {
+            addComputed(this, key, def);
             return this;
           },
           writable: true,
@@ -335,8 +669,8 @@ return value;
           configurable: true
         },
         $watch: {
-          value: function(keyOrFn, callback) {
-            return addWatch(this, keyOrFn, callback);
+          value: function(keyOrFn, callback, options) {
+            return addWatch(this, keyOrFn, callback, options);
           },
           writable: true,
           enumerable: false,
@@ -395,8 +729,23 @@ return value;
   }
 
   // Effect
-  function effect(fn) {
+  // options: {
+  //   flush: 'sync' (default, deferred only inside batch) | 'pre' | 'post' | 'animationFrame',
+  //   scheduler: (run) => {} to decide yourself when the effect re-runs,
+  //   priority: ordering inside a flush (see PRIORITY)
+  // }
+  function effect(fn, options = {}) {
+    const flushMode = options.flush || 'sync';
+    if (!(flushMode in FLUSH_PRIORITY)) {
+      console.warn(`[Reactive] Unknown flush mode "${flushMode}", using "sync"`);
+    }
+
     const execute = () => {
+      if (!execute.active) return;
+
+      // Drop last run's subscriptions so branches no longer taken stop triggering
+      cleanupEffect(execute);
+
       const prevEffect = currentEffect;
       currentEffect = execute;
       try {
@@ -405,50 +754,198 @@ return value;
         currentEffect = prevEffect;
       }
     };
+    execute.active = true;
+    execute.deps = [];
+    execute.flush = flushMode in FLUSH_PRIORITY ? flushMode : 'sync';
+    execute.priority = options.priority || FLUSH_PRIORITY[execute.flush];
+    execute.scheduler = options.scheduler || null;
+    recordInScope(execute);
+
     execute();
-    return () => { currentEffect = null; };
+
+    const dispose = () => stopEffect(execute);
+    dispose.effect = execute;
+    return dispose;
+  }
+
+  // Effect scopes
+  // Every effect, watch, binding and computed created while a scope is
+  // running is collected by it, so a widget can be torn down with one
+  // scope.stop(). Scopes created inside a running scope become its children
+  // unless created detached.
+  function effectScope(detached = false) {
+    const effects = [];
+    const cleanups = [];
+    const children = [];
+    const parent = detached ? null : activeScope;
+
+    const scope = {
+      active: true,
+      paused: false,
+
+      run(fn) {
+        if (!scope.active) {
+          console.warn('[Reactive] Cannot run an inactive effect scope');
+          return;
+        }
+        const prevScope = activeScope;
+        activeScope = scope;
+        try {
+          return fn();
+        } finally {
+          activeScope = prevScope;
+        }
+      },
+
+      // Triggered effects are held back and run once on resume()
+      pause() {
+        if (!scope.active) return;
+        scope.paused = true;
+        effects.forEach(effect => { effect.paused = true; });
+        children.forEach(child => child.pause());
+      },
+
+      resume() {
+        if (!scope.active || !scope.paused) return;
+        scope.paused = false;
+        children.forEach(child => child.resume());
+        batch(() => {
+          effects.forEach(effect => {
+            effect.paused = false;
+            if (effect.dirtyWhilePaused) {
+              effect.dirtyWhilePaused = false;
+              queueUpdate(effect);
+            }
+          });
+        });
+      },
+
+      stop() {
+        if (!scope.active) return;
+        scope.active = false;
+        effects.forEach(stopEffect);
+        effects.length = 0;
+        children.slice().forEach(child => child.stop());
+        cleanups.forEach(fn => {
+          try { fn(); }
+          catch (e) { console.error('[Reactive] Error in onScopeDispose:', e); }
+        });
+        cleanups.length = 0;
+        if (parent) {
+          const index = parent.__children.indexOf(scope);
+          if (index !== -1) parent.__children.splice(index, 1);
+        }
+      },
+
+      __effects: effects,
+      __cleanups: cleanups,
+      __children: children
+    };
+
+    if (parent) {
+      parent.__children.push(scope);
+      if (parent.paused) scope.paused = true;
+    }
+    return scope;
+  }
+
+  function recordInScope(effect) {
+    if (!activeScope || !activeScope.active) return;
+    activeScope.__effects.push(effect);
+    if (activeScope.paused) effect.paused = true;
+  }
+
+  function getCurrentScope() {
+    return activeScope;
+  }
+
+  // Register a callback to run when the current scope stops
+  function onScopeDispose(fn) {
+    if (activeScope) {
+      activeScope.__cleanups.push(fn);
+    } else {
+      console.warn('[Reactive] onScopeDispose() called outside of an effect scope');
+    }
+  }
+
+  // Computed nodes
+  // A computed node subscribes to its sources like an effect does, but a
+  // change only marks it dirty (see notifySubscribers). It is evaluated
+  // lazily on read and cached until then.
+  // Subscribers are kept in `subs` under `subKey`: a state computed shares
+  // its state's dep map, so reading `state.key` and `$notify(key)` reach it.
+  function computedNode(getter, label, subs = new Map(), subKey = 'value') {
+
+    const node = function() {
+      if (node.computing) {
+        throw new Error(`[Reactive] Circular dependency in computed "${label}"`);
+      }
+      cleanupEffect(node);
+      const prevEffect = currentEffect;
+      currentEffect = node;
+      node.computing = true;
+      try {
+        node.value = getter();
+        node.dirty = false;
+      } finally {
+        node.computing = false;
+        currentEffect = prevEffect;
+      }
+    };
+
+    node.computed = true;
+    node.active = true;
+    node.deps = [];
+    node.dirty = true;
+    node.pending = false;
+    node.value = undefined;
+
+    node.subscribers = () => subs.get(subKey) || new Set();
+    recordInScope(node);
+
+    node.get = () => {
+      if (node.dirty && node.active) node();
+      track(subs, subKey);
+      return node.value;
+    };
+
+    return node;
   }
 
   // Computed
-  function addComputed(state, key, fn) {
+  // `def` is either a getter function or a `{ get, set }` descriptor.
+  // Writes to a computed with a setter run the setter inside a batch.
+  function addComputed(state, key, def) {
     const meta = reactiveMap.get(state);
     if (!meta) {
       console.error('[Reactive] Cannot add computed to non-reactive state');
       return;
     }
 
-    const comp = {
-      fn,
-      value: undefined,
-      dirty: true,
-      deps: new Set()
-    };
+    const fn = typeof def === 'function' ? def : def && def.get;
+    if (typeof fn !== 'function') {
+      console.error(`[Reactive] Computed "${key}" requires a getter function`);
+      return;
+    }
+
+    // Redefining a computed drops the old node's subscriptions
+    stopEffect(meta.computedMap.get(key));
+
+    const comp = computedNode(() => fn.call(state), key, meta.deps, key);
+    comp.setter = def && typeof def.set === 'function' ? def.set : null;
 
     meta.computedMap.set(key, comp);
 
     Object.defineProperty(state, key, {
       get() {
-        if (comp.dirty) {
-          comp.deps.clear();
-          const prevEffect = currentEffect;
-          currentEffect = {
-            isComputed: true,
-            onDep: (k) => comp.deps.add(k)
-          };
-          try {
-            comp.value = fn.call(state);
-            comp.dirty = false;
-          } finally {
-            currentEffect = prevEffect;
-          }
-        }
-        
-        if (currentEffect && !currentEffect.isComputed) {
-          if (!meta.deps.has(key)) meta.deps.set(key, new Set());
-          meta.deps.get(key).add(currentEffect);
+        return comp.get();
+      },
+      set(value) {
+        if (comp.setter) {
+          batch(() => comp.setter.call(state, value));
+        } else {
+          console.warn(`[Reactive] Computed property "${key}" is read-only`);
         }
-        
-        return comp.value;
       },
       enumerable: true,
       configurable: true
@@ -456,26 +953,123 @@ return value;
   }
 
   // Watch
-  function addWatch(state, keyOrFn, callback) {
+  // options: { deep, immediate, once, equals, flush }
+  // Keys may be dot paths ('user.address.city'). With `deep`, every nested
+  // property is tracked and the callback receives a snapshot of the previous
+  // structure as oldValue, since the live object is mutated in place.
+  function addWatch(state, keyOrFn, callback, options = {}) {
+    const { deep = false, immediate = false, once = false } = options;
+    const equals = options.equals || (deep ? deepEqual : (a, b) => a === b);
+
+    const getter = typeof keyOrFn === 'function'
+      ? () => keyOrFn.call(state)
+      : (keyOrFn.includes('.') && !(keyOrFn in state))
+        ? () => getNestedProperty(state, keyOrFn)
+        : () => state[keyOrFn];
+
     let oldValue;
-    if (typeof keyOrFn === 'function') {
-      oldValue = keyOrFn.call(state);
-      return effect(() => {
-        const newValue = keyOrFn.call(state);
-        if (newValue !== oldValue) {
-          callback(newValue, oldValue);
-          oldValue = newValue;
-        }
-      });
+    let initialized = false;
+    let done = false;
+    let dispose = null;
+
+    const fire = (newValue, prevValue) => {
+      untrack(() => callback(newValue, prevValue));
+      if (once) {
+        done = true;
+        if (dispose) dispose();
+      }
+    };
+
+    dispose = effect(() => {
+      if (done) return;
+
+      const value = getter();
+      if (deep) traverse(value);
+      const compareValue = deep ? snapshot(value) : value;
+
+      if (!initialized) {
+        initialized = true;
+        oldValue = compareValue;
+        if (immediate) fire(value, undefined);
+        return;
+      }
+
+      if (!equals(compareValue, oldValue)) {
+        const prevValue = oldValue;
+        oldValue = compareValue;
+        fire(value, prevValue);
+      }
+    }, {
+      flush: options.flush,
+      // Watchers run ahead of effects and bindings queued in the same flush
+      priority: options.flush ? undefined : PRIORITY.WATCH
+    });
+
+    if (done) dispose();
+    return dispose;
+  }
+
+  // Read every nested property so the current effect depends on all of them
+  function traverse(value, seen = new Set()) {
+    if (!value || typeof value !== 'object' || seen.has(value)) return value;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) traverse(value[i], seen);
     } else {
-      oldValue = state[keyOrFn];
-      return effect(() => {
-        const newValue = state[keyOrFn];
-        if (newValue !== oldValue) {
-          callback(newValue, oldValue);
-          oldValue = newValue;
-        }
-      });
+      Object.keys(value).forEach(k => traverse(value[k], seen));
+    }
+    return value;
+  }
+
+  function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(toRaw(value));
+    // Compare structurally so objects from other realms (iframes) qualify
+    return proto === null || Object.getPrototypeOf(proto) === null;
+  }
+
+  // Structural copy of plain objects and arrays (other objects kept by reference)
+  function snapshot(value, seen = new Map()) {
+    if (!value || typeof value !== 'object') return value;
+    const raw = toRaw(value);
+    if (seen.has(raw)) return seen.get(raw);
+    if (Array.isArray(raw)) {
+      const copy = [];
+      seen.set(raw, copy);
+      raw.forEach((item, i) => { copy[i] = snapshot(item, seen); });
+      return copy;
+    }
+    if (!isPlainObject(raw)) return raw;
+    const copy = {};
+    seen.set(raw, copy);
+    Object.keys(raw).forEach(k => { copy[k] = snapshot(raw[k], seen); });
+    return copy;
+  }
+
+  function deepEqual(a, b, seen = new Map()) {
+    if (a === b) return true;
+    if (a !== a && b !== b) return true; // NaN
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    a = toRaw(a);
+    b = toRaw(b);
+    if (seen.get(a) === b) return true;
+    seen.set(a, b);
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (!isPlainObject(a) && !Array.isArray(a)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k], seen));
+  }
+
+  function untrack(fn) {
+    const prev = currentEffect;
+    currentEffect = null;
+    try {
+      return fn();
+    } finally {
+      currentEffect = prev;
     }
   }
 
@@ -485,18 +1079,23 @@ return value;
     if (!meta) return;
     
     if (key) {
-      const effects = meta.deps.get(key);
-      if (effects) {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
-      }
+      const comp = meta.computedMap.get(key);
+      if (comp) comp.dirty = true;
+      trigger(meta, key);
     } else {
-      meta.deps.forEach(effects => {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
-      });
+      const subscribers = new Set();
+      meta.computedMap.forEach(comp => { comp.dirty = true; });
+      meta.deps.forEach(dep => dep.forEach(sub => subscribers.add(sub)));
+      notifySubscribers(subscribers);
     }
   }
 
   // Bindings
+  // DOM bindings run after watchers and effects queued in the same flush
+  function bindingEffect(fn) {
+    return effect(fn, { priority: PRIORITY.POST });
+  }
+
   function bindings(defs) {
     const cleanups = [];
     
@@ -514,14 +1113,14 @@ return value;
 
       elements.forEach(el => {
         if (typeof bindingDef === 'function') {
-          cleanups.push(effect(() => {
+          cleanups.push(bindingEffect(() => {
             const value = bindingDef();
             applyValue(el, null, value);
           }));
         } else if (typeof bindingDef === 'object') {
           Object.entries(bindingDef).forEach(([prop, fn]) => {
             if (typeof fn === 'function') {
-              cleanups.push(effect(() => {
+              cleanups.push(bindingEffect(() => {
                 const value = fn();
                 applyValue(el, prop, value);
               }));
@@ -632,6 +1231,44 @@ return value;
     return path.split('.').reduce((current, key) => current?.[key], obj);
   }
 
+  // Field paths
+  // 'address.city', 'items[2].qty' and 'items.2.qty' name the same value.
+  // Exposed as ReactiveUtils.paths for modules that address nested values.
+  function toPath(path) {
+    return String(path)
+      .replace(/\[\s*['"]?([^\]'"]*?)['"]?\s*\]/g, '.$1')
+      .replace(/^\./, '');
+  }
+
+  // 'items[2].qty' -> ['items', '2', 'qty']; '' -> []
+  function toKeys(path) {
+    return toPath(path).split('.').filter(Boolean);
+  }
+
+  function getIn(obj, path) {
+    if (obj == null) return undefined;
+    // A flat key that contains a dot wins over path lookup
+    if (hasOwn(obj, path)) return obj[path];
+    return toKeys(path).reduce((current, key) => current == null ? undefined : current[key], obj);
+  }
+
+  // Missing containers are created on the way: arrays before numeric keys
+  function setIn(obj, path, value) {
+    if (hasOwn(obj, path) || !/[.[]/.test(path)) {
+      obj[path] = value;
+      return;
+    }
+    const keys = toKeys(path);
+    let current = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (current[keys[i]] == null || typeof current[keys[i]] !== 'object') {
+        current[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+      }
+      current = current[keys[i]];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+
   // Update DOM elements by selector
   function updateDOMElements(selector, updates) {
     let elements = [];
@@ -675,7 +1312,7 @@ return value;
       elements.forEach(el => {
         if (typeof binding === 'string') {
           // Simple property binding: '#counter': 'count'
-          cleanups.push(effect(() => {
+          cleanups.push(bindingEffect(() => {
             const value = binding.includes('.') 
               ? getNestedProperty(state, binding)
               : state[binding];
@@ -683,7 +1320,7 @@ return value;
           }));
         } else if (typeof binding === 'function') {
           // Computed binding: '#userName': () => state.user.name
-          cleanups.push(effect(() => {
+          cleanups.push(bindingEffect(() => {
             const value = binding.call(state);
             applyValue(el, null, value);
           }));
@@ -691,12 +1328,12 @@ return value;
           // Multiple property bindings
           Object.entries(binding).forEach(([prop, value]) => {
             if (typeof value === 'function') {
-              cleanups.push(effect(() => {
+              cleanups.push(bindingEffect(() => {
                 const result = value.call(state);
                 applyValue(el, prop, result);
               }));
             } else if (typeof value === 'string') {
-              cleanups.push(effect(() => {
+              cleanups.push(bindingEffect(() => {
                 const result = value.includes('.')
                   ? getNestedProperty(state, value)
                   : state[value];
@@ -732,9 +1369,49 @@ return value;
     const state = createReactive({ value });
     state.valueOf = function() { return this.value; };
     state.toString = function() { return String(this.value); };
+    Object.defineProperty(state, IS_REF, { value: true });
     return state;
   }
 
+  // Computed ref
+  // A free-standing computed: `.value` is evaluated lazily, cached until one
+  // of its sources changes, and can read from any number of states or other
+  // computeds. Accepts a getter or a `{ get, set }` descriptor.
+  function computedRef(def) {
+    const getter = typeof def === 'function' ? def : def && def.get;
+    if (typeof getter !== 'function') {
+      console.error('[Reactive] computedRef() requires a getter function');
+      return;
+    }
+    const setter = def && typeof def.set === 'function' ? def.set : null;
+    const node = computedNode(getter, 'computedRef');
+
+    const result = {
+      get value() {
+        return node.get();
+      },
+      set value(newValue) {
+        if (setter) {
+          batch(() => setter(newValue));
+        } else {
+          console.warn('[Reactive] computedRef is read-only');
+        }
+      },
+      dispose() {
+        stopEffect(node);
+      },
+      valueOf() {
+        return this.value;
+      },
+      toString() {
+        return String(this.value);
+      }
+    };
+
+    Object.defineProperty(result, IS_REF, { value: true });
+    return result;
+  }
+
   // Collection
   function collection(items = []) {
     const state = createReactive({ items });
@@ -967,14 +1644,20 @@ return value;
 
   const api = {
     state: createReactive,
+    shallowState,
+    readonly,
+    markRaw,
+    registerRawType,
+    isReadonly,
+    isShallow,
     createState: createStateWithBindings,
     updateAll: updateAll,
     computed: (state, defs) => {
       Object.entries(defs).forEach(([k, fn]) => addComputed(state, k, fn));
       return state;
     },
-    watch: (state, defs) => {
-      const cleanups = Object.entries(defs).map(([k, cb]) => addWatch(state, k, cb));
+    watch: (state, defs, options) => {
+      const cleanups = Object.entries(defs).map(([k, cb]) => addWatch(state, k, cb, options));
       return () => cleanups.forEach(c => c());
     },
     effect,
@@ -983,6 +1666,8 @@ return value;
       return () => cleanups.forEach(c => c());
     },
     ref,
+    computedRef,
+    isRef,
     refs: (defs) => {
       const result = {};
       Object.entries(defs).forEach(([k, v]) => result[k] = ref(v));
@@ -995,26 +1680,28 @@ return value;
     reactive,
     builder: reactive,
     bindings,
+    applyValue,
     list: collection,
     collection: collection, 
     batch,
     isReactive,
     toRaw,
     notify,
+    flushSync,
+    nextTick,
+    queueJob,
+    PRIORITY,
     pause: () => batchDepth++,
     resume: (fl) => {
       batchDepth = Math.max(0, batchDepth - 1);
       if (fl && batchDepth === 0) flush();
     },
-    untrack: (fn) => {
-      const prev = currentEffect;
-      currentEffect = null;
-      try {
-        return fn();
-      } finally {
-        currentEffect = prev;
-      }
-    }
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    __stopEffects: stopStateEffects,
+    untrack,
+    paths: { toPath, toKeys, getIn, setIn }
   };
 
   // Integration
@@ -1027,11 +1714,11 @@ return value;
         const element = document.getElementById(id);
         if (element) {
           if (typeof bindingDef === 'function') {
-            effect(() => applyValue(element, null, bindingDef()));
+            bindingEffect(() => applyValue(element, null, bindingDef()));
           } else if (typeof bindingDef === 'object') {
             Object.entries(bindingDef).forEach(([prop, fn]) => {
               if (typeof fn === 'function') {
-                effect(() => applyValue(element, prop, fn()));
+                bindingEffect(() => applyValue(element, prop, fn()));
               }
             });
           }
@@ -1049,11 +1736,11 @@ return value;
         const elements = document.getElementsByClassName(className);
         Array.from(elements).forEach(element => {
           if (typeof bindingDef === 'function') {
-            effect(() => applyValue(element, null, bindingDef()));
+            bindingEffect(() => applyValue(element, null, bindingDef()));
           } else if (typeof bindingDef === 'object') {
             Object.entries(bindingDef).forEach(([prop, fn]) => {
               if (typeof fn === 'function') {
-                effect(() => applyValue(element, prop, fn()));
+                bindingEffect(() => applyValue(element, prop, fn()));
               }
             });
           }
@@ -1074,11 +1761,11 @@ return value;
           const element = document.querySelector(selector);
           if (element) {
             if (typeof bindingDef === 'function') {
-              effect(() => applyValue(element, null, bindingDef()));
+              bindingEffect(() => applyValue(element, null, bindingDef()));
             } else if (typeof bindingDef === 'object') {
               Object.entries(bindingDef).forEach(([prop, fn]) => {
                 if (typeof fn === 'function') {
-                  effect(() => applyValue(element, prop, fn()));
+                  bindingEffect(() => applyValue(element, prop, fn()));
                 }
               });
             }
@@ -1096,11 +1783,11 @@ return value;
           const elements = document.querySelectorAll(selector);
           elements.forEach(element => {
             if (typeof bindingDef === 'function') {
-              effect(() => applyValue(element, null, bindingDef()));
+              bindingEffect(() => applyValue(element, null, bindingDef()));
             } else if (typeof bindingDef === 'object') {
               Object.entries(bindingDef).forEach(([prop, fn]) => {
                 if (typeof fn === 'function') {
-                  effect(() => applyValue(element, prop, fn()));
+                  bindingEffect(() => applyValue(element, prop, fn()));
                 }
               });
             }
@@ -338,4 +338,273 @@
     global.Collections.list = createCollectionWithToggleAll;
   }
 
-})(typeof window !== 'undefined' ? window : global);
\ No newline at end of file
+})(typeof window !== 'undefined' ? window : global);
+
+/**
+ * Keyed List Rendering Extension
+ *
+ * Renders a reactive list into a container with keyed reconciliation:
+ * only added, moved, changed and removed items touch the DOM, so focus,
+ * input state and listeners inside untouched rows survive updates.
+ *
+ *   todos.renderTo('#todo-list', {
+ *     key: 'id',
+ *     render: (todo) => '<li><input type="checkbox"> <span></span></li>',
+ *     update: (li, todo) => ({ classList: { toggle: 'done' }, dataset: { id: todo.id } })
+ *   });
+ *
+ *   ReactiveUtils.list('#results', () => search.results, { key: 'id', render, update });
+ *
+ * update(el, item, index) runs in its own effect per row; an object it returns
+ * is applied with element.update(). Wrap a remove + re-insert in batch() so
+ * the row is moved instead of re-created.
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.ReactiveUtils || !global.ReactiveUtils.collection) {
+    console.error('[List Rendering] ReactiveUtils.collection not found.');
+    return;
+  }
+
+  const { effect, untrack } = global.ReactiveUtils;
+
+  // Apply an update object through the element.update() engine when loaded
+  function patchElement(el, updates) {
+    if (!el || !updates || typeof updates !== 'object') return;
+
+    if (typeof el.update !== 'function' && global.EnhancedUpdateUtility) {
+      global.EnhancedUpdateUtility.enhanceElementWithUpdate(el);
+    }
+    if (typeof el.update === 'function') {
+      el.update(updates);
+      return;
+    }
+
+    Object.keys(updates).forEach(key => {
+      const value = updates[key];
+      if ((key === 'style' || key === 'dataset') && value && typeof value === 'object') {
+        Object.assign(el[key], value);
+      } else {
+        el[key] = value;
+      }
+    });
+  }
+
+  // render() may return an element, an HTML string or { tag, ...updates }
+  function toElement(result) {
+    if (result && result.nodeType === 1) return result;
+
+    if (typeof result === 'string') {
+      const template = document.createElement('template');
+      template.innerHTML = result.trim();
+      return template.content.firstElementChild;
+    }
+
+    if (result && typeof result === 'object' && (result.tag || result.tagName)) {
+      const updates = Object.assign({}, result);
+      const el = document.createElement(updates.tag || updates.tagName);
+      delete updates.tag;
+      delete updates.tagName;
+      patchElement(el, updates);
+      return el;
+    }
+
+    console.error('[List Rendering] render() must return an element, an HTML string or { tag, ...props }');
+    return null;
+  }
+
+  // Indexes of the longest increasing run of old positions (-1 = new row);
+  // rows in it keep their place, every other row is moved
+  function longestIncreasing(positions) {
+    const tails = [];
+    const previous = new Array(positions.length);
+
+    positions.forEach((position, index) => {
+      if (position === -1) return;
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (positions[tails[mid]] < position) low = mid + 1;
+        else high = mid;
+      }
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+
+    const result = new Set();
+    let index = tails.length ? tails[tails.length - 1] : -1;
+    while (index !== undefined && index !== -1) {
+      result.add(index);
+      index = previous[index];
+    }
+    return result;
+  }
+
+  /**
+   * Render a reactive list into a container with keyed reconciliation
+   * @param {Element|string} container - Container element or selector
+   * @param {Function|Object|Array} source - () => items, a collection or an array
+   * @param {Object} options
+   *   key: property name or (item, index) => key (default: item.id, else index)
+   *   render(item, index): element, HTML string or { tag, ...props }
+   *   update(el, item, index): patch a row; a returned object goes to el.update()
+   *   onRemove(el, item): called before a row's element is removed
+   *   anchor: node the rows are kept in front of (default: end of container)
+   * @returns {Function} Stops rendering and removes the rendered rows
+   */
+  function renderList(container, source, options = {}) {
+    const root = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!root) {
+      console.error('[List Rendering] Container not found:', container);
+      return () => {};
+    }
+    if (typeof options.render !== 'function') {
+      console.error('[List Rendering] options.render is required');
+      return () => {};
+    }
+
+    const getItems = typeof source === 'function'
+      ? source
+      : () => (source && !Array.isArray(source) && source.items) || source || [];
+
+    const getKey = typeof options.key === 'function'
+      ? options.key
+      : options.key
+        ? (item) => item[options.key]
+        : (item, index) => (item && typeof item === 'object' && 'id' in item ? item.id : index);
+
+    let rows = new Map();
+    let order = [];
+
+    function createRow(key, item, index) {
+      const row = { key, item, index, el: null, stop: null };
+      row.el = toElement(options.render(item, index));
+      if (row.el && typeof options.update === 'function') {
+        // Own effect per row: item changes patch only this row
+        row.stop = effect(() => {
+          patchElement(row.el, options.update(row.el, row.item, row.index));
+        }, { flush: 'post' });
+      }
+      return row;
+    }
+
+    function removeRow(row) {
+      if (row.stop) row.stop();
+      if (row.el && typeof options.onRemove === 'function') options.onRemove(row.el, row.item);
+      if (row.el) row.el.remove();
+    }
+
+    function reconcile(items, keys) {
+      const next = new Map();
+
+      keys.forEach((key, index) => {
+        const item = items[index];
+        let row = rows.get(key);
+        if (row) {
+          const changed = row.item !== item || row.index !== index;
+          row.item = item;
+          row.index = index;
+          if (changed && row.stop) row.stop.effect();
+        } else {
+          row = createRow(key, item, index);
+        }
+        next.set(key, row);
+      });
+
+      rows.forEach((row, key) => {
+        if (!next.has(key)) removeRow(row);
+      });
+
+      // Walk backwards inserting each moved or new row before its successor
+      const oldPositions = new Map(order.map((key, index) => [key, index]));
+      const positions = keys.map(key => oldPositions.has(key) ? oldPositions.get(key) : -1);
+      const stable = longestIncreasing(positions);
+
+      let anchor = options.anchor || null;
+      for (let i = keys.length - 1; i >= 0; i--) {
+        const el = next.get(keys[i]).el;
+        if (!el) continue;
+        if (!stable.has(i) || el.parentNode !== root) {
+          root.insertBefore(el, anchor);
+        }
+        anchor = el;
+      }
+
+      rows = next;
+      order = keys;
+    }
+
+    const stop = effect(() => {
+      const items = Array.from(getItems() || []);
+      const seen = new Set();
+      const keys = items.map((item, index) => {
+        let key = getKey(item, index);
+        if (seen.has(key)) {
+          console.warn(`[List Rendering] Duplicate key "${key}", falling back to index`);
+          key = `${key}::${index}`;
+        }
+        seen.add(key);
+        return key;
+      });
+
+      untrack(() => reconcile(items, keys));
+    }, { flush: 'post' });
+
+    return () => {
+      stop();
+      rows.forEach(removeRow);
+      rows.clear();
+      order = [];
+    };
+  }
+
+  // Give every collection a renderTo() bound to its items
+  function withRenderTo(factory) {
+    return function(...args) {
+      const collection = factory(...args);
+      if (collection && !collection.renderTo) {
+        collection.renderTo = function(container, options) {
+          return renderList(container, () => this.items, options);
+        };
+      }
+      return collection;
+    };
+  }
+
+  const createCollection = withRenderTo(global.ReactiveUtils.collection);
+
+  // list(items) creates a collection, list(container, source, options) renders
+  function list(target, ...args) {
+    if (typeof target === 'string' || (target && target.nodeType === 1)) {
+      return renderList(target, ...args);
+    }
+    return createCollection(target, ...args);
+  }
+
+  global.ReactiveUtils.collection = createCollection;
+  global.ReactiveUtils.createCollection = createCollection;
+  global.ReactiveUtils.list = list;
+  global.ReactiveUtils.renderList = renderList;
+
+  if (global.Collections) {
+    global.Collections.create = createCollection;
+    global.Collections.collection = createCollection;
+    global.Collections.list = list;
+    if (global.Collections.createWithComputed) {
+      global.Collections.createWithComputed = withRenderTo(global.Collections.createWithComputed);
+    }
+    if (global.Collections.createFiltered) {
+      global.Collections.createFiltered = withRenderTo(global.Collections.createFiltered);
+    }
+    global.Collections.renderList = renderList;
+  }
+
+  if (global.ReactiveState) {
+    global.ReactiveState.collection = createCollection;
+    global.ReactiveState.list = list;
+  }
+
+})(typeof window !== 'undefined' ? window : global);
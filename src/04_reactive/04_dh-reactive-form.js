@@ -15,22 +15,268 @@
     return;
   }
 
-  const { state: createState, batch } = global.ReactiveUtils;
+  const { state: createState, batch, effect } = global.ReactiveUtils;
+
+  function isPromise(value) {
+    return !!value && typeof value.then === 'function';
+  }
+
+  // ============================================================================
+  // FIELD PATHS
+  // ============================================================================
+  // 'address.city', 'items[2].qty' and 'items.2.qty' name the same field
+  // (see ReactiveUtils.paths). errors, touched and validating are flat maps
+  // keyed by the dot form.
+
+  const { toPath, getIn, setIn } = global.ReactiveUtils.paths;
+
+  function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(global.ReactiveUtils.toRaw(value));
+    return proto === null || Object.getPrototypeOf(proto) === null;
+  }
+
+  // Deep copy of plain objects and arrays, so nested edits never reach the
+  // initial values
+  function cloneValues(value) {
+    if (Array.isArray(value)) return value.map(cloneValues);
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = cloneValues(value[key]); });
+      return copy;
+    }
+    return value;
+  }
+
+  // Deep value comparison used for dirty tracking
+  function isEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    const tag = Object.prototype.toString.call(a);
+    if (tag === '[object Date]' && tag === Object.prototype.toString.call(b)) {
+      return a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+    return false;
+  }
+
+  // Parts of `current` that differ from `baseline`; arrays are compared as a
+  // whole and returned complete when any row changed
+  function changedValues(current, baseline) {
+    const changes = {};
+    Object.keys(current).forEach(key => {
+      const value = current[key];
+      const base = baseline == null ? undefined : baseline[key];
+      if (isEqual(value, base)) return;
+      if (isPlainObject(value) && isPlainObject(base)) {
+        changes[key] = changedValues(value, base);
+      } else {
+        changes[key] = cloneValues(value);
+      }
+    });
+    return changes;
+  }
+
+  // Paths of every leaf value ('address.city', 'items.0.qty')
+  function leafPaths(value, prefix = '') {
+    const isContainer = Array.isArray(value) || isPlainObject(value);
+    if (!isContainer || (prefix && Object.keys(value).length === 0)) {
+      return prefix ? [prefix] : [];
+    }
+    return Object.keys(value).reduce((paths, key) => {
+      return paths.concat(leafPaths(value[key], prefix ? `${prefix}.${key}` : key));
+    }, []);
+  }
+
+  // Validator keys may use '*' for "every row": 'items.*.qty'
+  function expandPath(pattern, values) {
+    const keys = pattern.split('.');
+    const star = keys.indexOf('*');
+    if (star === -1) return [pattern];
+    const base = keys.slice(0, star).join('.');
+    const rest = keys.slice(star + 1).join('.');
+    const list = base ? getIn(values, base) : values;
+    if (!Array.isArray(list)) return [];
+    return list.reduce((paths, item, index) => {
+      const row = base ? `${base}.${index}` : String(index);
+      return paths.concat(rest ? expandPath(`${row}.${rest}`, values) : [row]);
+    }, []);
+  }
+
+  // Re-key 'path.N...' entries of a flat map after rows moved.
+  // mapIndex(oldIndex) returns the new index, or -1 when the row is gone.
+  function remapRows(map, path, mapIndex) {
+    const prefix = path + '.';
+    const moved = {};
+    Object.keys(map).forEach(key => {
+      if (!key.startsWith(prefix)) return;
+      const match = /^(\d+)(.*)$/.exec(key.slice(prefix.length));
+      if (!match) return;
+      const next = mapIndex(Number(match[1]));
+      if (next !== -1) moved[prefix + next + match[2]] = map[key];
+      delete map[key];
+    });
+    Object.assign(map, moved);
+  }
+
+  // ============================================================================
+  // DOM BINDING
+  // ============================================================================
+  // Reading and writing field values for every input type. Elements that
+  // share a name form a group (radio buttons, checkbox lists).
+
+  // Controls that can carry a field value
+  const CONTROL_SELECTOR = [
+    'input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=reset]):not([type=image])',
+    'select',
+    'textarea',
+    '[contenteditable]:not([contenteditable=false])'
+  ].join(', ');
+
+  let errorIdCounter = 0;
+
+  function fieldName(el) {
+    return el.name || el.getAttribute('name') || el.id || el.getAttribute('data-field') || '';
+  }
+
+  function isContentEditable(el) {
+    if (el.isContentEditable) return true;
+    const attr = el.getAttribute('contenteditable');
+    return attr !== null && attr !== 'false';
+  }
+
+  function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+  }
+
+  // Event that carries the new value for the element
+  function changeEvent(el) {
+    if (isContentEditable(el)) return 'input';
+    return /^(checkbox|radio|file|select-one|select-multiple)$/.test(el.type) ? 'change' : 'input';
+  }
+
+  // 'date' inputs hold UTC midnight (like valueAsDate), 'datetime-local'
+  // holds local time
+  function formatDateInput(type, value) {
+    if (!isDate(value)) return value == null ? '' : String(value);
+    if (isNaN(value.getTime())) return '';
+    if (type === 'date') return value.toISOString().slice(0, 10);
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` +
+      `T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+
+  // Value of an element (or its group), typed like the current field value
+  function readValue(el, group, current) {
+    if (isContentEditable(el)) return el.textContent;
+
+    switch (el.type) {
+      case 'checkbox':
+        if (group.length > 1 || Array.isArray(current)) {
+          return group.filter(box => box.checked).map(box => box.value);
+        }
+        return el.checked;
+      case 'radio': {
+        const checked = group.find(radio => radio.checked);
+        return checked ? checked.value : null;
+      }
+      case 'select-multiple':
+        return Array.from(el.options).filter(option => option.selected).map(option => option.value);
+      case 'number':
+      case 'range':
+        return el.value === '' ? null : Number(el.value);
+      case 'date':
+      case 'datetime-local':
+        // Fields that already hold strings keep getting strings
+        if (typeof current === 'string') return el.value;
+        return el.value === '' ? null : new Date(el.value);
+      case 'file':
+        return el.multiple ? Array.from(el.files || []) : (el.files && el.files[0]) || null;
+      default:
+        return el.value;
+    }
+  }
+
+  // Reflect a field value on an element (or its group)
+  function writeValue(el, group, value) {
+    if (isContentEditable(el)) {
+      const text = value == null ? '' : String(value);
+      if (el.textContent !== text) el.textContent = text;
+      return;
+    }
+
+    switch (el.type) {
+      case 'checkbox':
+        group.forEach(box => {
+          box.checked = Array.isArray(value)
+            ? value.map(String).includes(box.value)
+            : group.length > 1 ? value != null && String(value) === box.value : !!value;
+        });
+        return;
+      case 'radio':
+        group.forEach(radio => {
+          radio.checked = value != null && String(value) === radio.value;
+        });
+        return;
+      case 'select-multiple': {
+        const selected = (Array.isArray(value) ? value : value == null ? [] : [value]).map(String);
+        Array.from(el.options).forEach(option => {
+          option.selected = selected.includes(option.value);
+        });
+        return;
+      }
+      case 'file':
+        // Browsers only allow clearing a file input from script
+        if (value == null || (Array.isArray(value) && value.length === 0)) el.value = '';
+        return;
+      case 'date':
+      case 'datetime-local':
+        el.value = formatDateInput(el.type, value);
+        return;
+      default:
+        el.value = value == null ? '' : String(value);
+    }
+  }
 
   /**
    * Create a reactive form with validation and state management
+   *
+   * Validators receive (value, allValues, { signal, field }) and may return a
+   * Promise for async checks. A newer check for the same field aborts the
+   * previous one through `signal`; stale results are ignored.
+   *
    * @param {Object} initialValues - Initial form values
-   * @param {Object} options - Form options (validators, onSubmit)
+   * @param {Object} options - Form options (validators, schema, onSubmit, debounce,
+   *   beforeSubmit, afterSubmit, onSubmitError)
+   *   debounce: ms to wait after setValue() before validating, either one
+   *   number for all fields or a { field: ms } map
+   *   schema: declarative rules (see FormSchema); values set through
+   *   setValue() are coerced to the schema types
+   *   beforeSubmit(values, form): runs after validation, return false to cancel
+   *   afterSubmit(result, form): runs once the handler succeeded or failed
+   *   onSubmitError(error, form): return a { field: message } map to show
+   *   server errors on fields, or a string for `submitError`
    * @returns {Object} Reactive form
    */
   function createForm(initialValues = {}, options = {}) {
     // Create the base object BEFORE making it reactive
     const formObj = {
-      values: { ...initialValues },
+      values: cloneValues(initialValues),
+      // Baseline for dirty tracking, moved by commit() and reset()
+      initialValues: cloneValues(initialValues),
       errors: {},
       touched: {},
+      validating: {},
       isSubmitting: false,
-      submitCount: 0
+      submitCount: 0, // submit attempts, including ones that failed validation
+      submitError: null, // form-level message from the last failed submission
+      lastSubmittedAt: null // time of the last successful submission
     };
 
     // Make it reactive
@@ -42,8 +288,16 @@
       return errorKeys.length === 0 || errorKeys.every(k => !this.errors[k]);
     });
 
+    // Leaf paths whose value differs from the baseline
+    form.$computed('dirtyFields', function() {
+      const paths = new Set(leafPaths(this.values).concat(leafPaths(this.initialValues)));
+      return Array.from(paths).filter(path => {
+        return !isEqual(getIn(this.values, path), getIn(this.initialValues, path));
+      });
+    });
+
     form.$computed('isDirty', function() {
-      return Object.keys(this.touched).length > 0;
+      return this.dirtyFields.length > 0;
     });
 
     form.$computed('hasErrors', function() {
@@ -58,20 +312,175 @@
       return Object.keys(this.errors).filter(k => this.errors[k]);
     });
 
-    // Store validators
-    const validators = options.validators || {};
+    form.$computed('isValidating', function() {
+      return Object.keys(this.validating).some(k => this.validating[k]);
+    });
+
+    // Schema rules (dh-reactive-form-schema.js) run before options.validators
+    const schema = options.schema || null;
+    const FormSchema = schema ? global.FormSchema : null;
+    if (schema && !FormSchema) {
+      console.error('[Forms] options.schema requires FormSchema. Load dh-reactive-form-schema.js first.');
+    }
+
+    // Store validators, keyed by normalized path
+    const validators = FormSchema ? FormSchema.toValidators(schema) : {};
+    Object.entries(options.validators || {}).forEach(([field, validator]) => {
+      const path = toPath(field);
+      validators[path] = validators[path]
+        ? Validators.combine(validators[path], validator)
+        : validator;
+    });
     const onSubmitCallback = options.onSubmit;
 
+    // Exact path first, then the row pattern ('items.2.qty' -> 'items.*.qty')
+    function getValidator(path) {
+      return validators[path] || validators[path.replace(/\.\d+(?=\.|$)/g, '.*')];
+    }
+
+    // Concrete paths of every validated field
+    function validatedFields() {
+      return Object.keys(validators).reduce((fields, key) => {
+        return fields.concat(expandPath(key, form.values));
+      }, []);
+    }
+
+    // In-flight async checks and debounce timers, per field
+    const pendingChecks = new Map();
+
+    // Called when submit() stops on validation errors (see bindErrors)
+    const invalidSubmitHandlers = new Set();
+
+    // Running submission, and fields whose error came from onSubmitError
+    let inFlight = null;
+    const serverErrors = new Set();
+
+    // Map a failed submission onto the form: onSubmitError may return a
+    // { field: message } map (e.g. from a 422 response) or a form-level message
+    async function applySubmitError(error) {
+      let mapped = null;
+      if (typeof options.onSubmitError === 'function') {
+        try {
+          mapped = await options.onSubmitError(error, form);
+        } catch (hookError) {
+          console.error('[Forms] onSubmitError error:', hookError);
+        }
+      }
+
+      if (mapped && typeof mapped === 'object') {
+        form.setErrors(mapped);
+        Object.keys(mapped).forEach(field => serverErrors.add(toPath(field)));
+        return true;
+      }
+      form.submitError = typeof mapped === 'string' && mapped
+        ? mapped
+        : (error && error.message) || 'Submission failed';
+      return false;
+    }
+
+    async function runSubmit(handler) {
+      batch(() => {
+        form.submitCount++;
+        form.submitError = null;
+        // Mark all fields as touched
+        form.touchAll();
+      });
+
+      // Validate, waiting for async validators
+      const isValid = await form.validate();
+
+      if (!isValid) {
+        console.log('[Forms] Validation failed');
+        invalidSubmitHandlers.forEach(onInvalid => onInvalid());
+        return { success: false, errors: form.errors };
+      }
+
+      form.isSubmitting = true;
+
+      try {
+        if (options.beforeSubmit && await options.beforeSubmit(form.values, form) === false) {
+          form.isSubmitting = false;
+          return { success: false, cancelled: true };
+        }
+      } catch (error) {
+        form.isSubmitting = false;
+        console.error('[Forms] beforeSubmit error:', error);
+        return { success: false, error };
+      }
+
+      let result;
+      try {
+        result = { success: true, result: await handler(form.values, form) };
+        form.lastSubmittedAt = Date.now();
+      } catch (error) {
+        console.error('[Forms] Submit error:', error);
+        result = { success: false, error };
+        if (await applySubmitError(error)) {
+          result.errors = form.errors;
+          invalidSubmitHandlers.forEach(onInvalid => onInvalid());
+        }
+      }
+      form.isSubmitting = false;
+
+      if (options.afterSubmit) {
+        try {
+          await options.afterSubmit(result, form);
+        } catch (error) {
+          console.error('[Forms] afterSubmit error:', error);
+        }
+      }
+
+      return result;
+    }
+
+    function getDebounce(field) {
+      const debounce = options.debounce;
+      if (typeof debounce === 'number') return debounce;
+      return (debounce && debounce[field]) || 0;
+    }
+
+    function cancelValidation(field) {
+      const pending = pendingChecks.get(field);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      if (pending.controller) pending.controller.abort();
+      pendingChecks.delete(field);
+      delete form.validating[field];
+    }
+
+    function applyValidationResult(field, error) {
+      if (error) {
+        form.errors[field] = error;
+        return false;
+      }
+      delete form.errors[field];
+      return true;
+    }
+
     // Form methods
     const methods = {
       // Set a single field value
       setValue(field, value) {
-        this.values[field] = value;
+        field = toPath(field);
+        if (FormSchema) value = FormSchema.coerceField(schema, field, value);
+        setIn(this.values, field, value);
         this.touched[field] = true;
+
+        // A server error is stale once the value changes
+        if (serverErrors.delete(field)) delete this.errors[field];
         
-        // Auto-validate if validator exists
-        if (validators[field]) {
-          this.validateField(field);
+        // Auto-validate if validator exists (debounced when configured)
+        if (getValidator(field)) {
+          const wait = getDebounce(field);
+          if (wait > 0) {
+            cancelValidation(field);
+            this.validating[field] = true;
+            pendingChecks.set(field, {
+              timer: setTimeout(() => this.validateField(field), wait)
+            });
+          } else {
+            this.validateField(field);
+          }
         }
         
         return this;
@@ -89,6 +498,7 @@
 
       // Set a field error
       setError(field, error) {
+        field = toPath(field);
         if (error) {
           this.errors[field] = error;
         } else {
@@ -109,7 +519,7 @@
 
       // Clear a field error
       clearError(field) {
-        delete this.errors[field];
+        delete this.errors[toPath(field)];
         return this;
       },
 
@@ -121,6 +531,7 @@
 
       // Mark field as touched
       setTouched(field, touched = true) {
+        field = toPath(field);
         if (touched) {
           this.touched[field] = true;
         } else {
@@ -137,10 +548,11 @@
         });
       },
 
-      // Mark all fields as touched
+      // Mark all fields as touched (every leaf and validated path)
       touchAll() {
         return batch(() => {
-          Object.keys(this.values).forEach(field => {
+          const fields = new Set(leafPaths(this.values).concat(validatedFields()));
+          fields.forEach(field => {
             this.touched[field] = true;
           });
           return this;
@@ -148,107 +560,149 @@
       },
 
       // Validate a single field
+      // Returns a boolean, or a Promise<boolean> for async validators
       validateField(field) {
-        const validator = validators[field];
+        field = toPath(field);
+        const validator = getValidator(field);
         if (!validator) return true;
 
-        const error = validator(this.values[field], this.values);
+        // A newer check always replaces a pending or debounced one
+        cancelValidation(field);
+
+        const controller = new AbortController();
+        const result = validator(getIn(this.values, field), this.values, {
+          signal: controller.signal,
+          field
+        });
         
-        if (error) {
-          this.errors[field] = error;
-          return false;
-        } else {
-          delete this.errors[field];
-          return true;
+        if (!isPromise(result)) {
+          return applyValidationResult(field, result);
         }
+
+        const check = { controller };
+        pendingChecks.set(field, check);
+        this.validating[field] = true;
+
+        // Stale checks resolve with the outcome of the latest one
+        const settle = (apply) => {
+          if (pendingChecks.get(field) !== check) {
+            const latest = pendingChecks.get(field);
+            return latest && latest.promise ? latest.promise : !this.errors[field];
+          }
+          pendingChecks.delete(field);
+          return batch(() => {
+            delete this.validating[field];
+            return apply();
+          });
+        };
+
+        check.promise = result.then(
+          error => settle(() => applyValidationResult(field, error)),
+          error => settle(() => {
+            console.error(`[Forms] Async validator error for "${field}":`, error);
+            return applyValidationResult(field, (error && error.message) || 'Validation failed');
+          })
+        );
+
+        return check.promise;
       },
 
       // Validate all fields
+      // Returns a boolean, or a Promise<boolean> when any validator is async
       validate() {
         return batch(() => {
-          let isValid = true;
-          
-          Object.keys(validators).forEach(field => {
-            const valid = this.validateField(field);
-            if (!valid) isValid = false;
-          });
+          const results = validatedFields().map(field => this.validateField(field));
           
-          return isValid;
+          if (results.some(isPromise)) {
+            return Promise.all(results).then(all => all.every(Boolean));
+          }
+          return results.every(Boolean);
         });
       },
 
-      // Reset form to initial or new values
-      reset(newValues = initialValues) {
+      // Reset form to the baseline or to new values (which become the baseline)
+      reset(newValues) {
         return batch(() => {
-          this.values = { ...newValues };
+          Array.from(pendingChecks.keys()).forEach(cancelValidation);
+          if (newValues !== undefined) this.initialValues = cloneValues(newValues);
+          this.values = cloneValues(this.initialValues);
           this.errors = {};
           this.touched = {};
+          this.validating = {};
           this.isSubmitting = false;
+          this.submitError = null;
+          serverErrors.clear();
           return this;
         });
       },
 
       // Reset a single field
       resetField(field) {
+        field = toPath(field);
         return batch(() => {
-          this.values[field] = initialValues[field];
+          cancelValidation(field);
+          setIn(this.values, field, cloneValues(getIn(this.initialValues, field)));
           delete this.errors[field];
           delete this.touched[field];
           return this;
         });
       },
 
+      // Check if a field (or a whole group like 'address' or 'items')
+      // differs from the baseline
+      isFieldDirty(field) {
+        return !isEqual(getIn(this.values, field), getIn(this.initialValues, field));
+      },
+
+      // Only the values that differ from the baseline, e.g. for PATCH requests
+      getChangedValues() {
+        return changedValues(this.values, this.initialValues);
+      },
+
+      // Make the current values the new baseline, e.g. after a successful save
+      commit() {
+        this.initialValues = cloneValues(this.values);
+        return this;
+      },
+
       // Handle form submission
-      async submit(customHandler) {
+      // Resolves to { success, result } or { success: false, errors | error }.
+      // Calls made while a submission is running get the same promise.
+      submit(customHandler) {
+        if (inFlight) return inFlight;
+
         const handler = customHandler || onSubmitCallback;
         
         if (!handler) {
           console.warn('[Forms] No submit handler provided');
-          return;
-        }
-
-        // Mark all fields as touched
-        this.touchAll();
-
-        // Validate
-        const isValid = this.validate();
-        
-        if (!isValid) {
-          console.log('[Forms] Validation failed');
-          return { success: false, errors: this.errors };
+          return Promise.resolve();
         }
 
-        this.isSubmitting = true;
-        
-        try {
-          const result = await handler(this.values, this);
-          this.submitCount++;
-          this.isSubmitting = false;
-          return { success: true, result };
-        } catch (error) {
-          this.isSubmitting = false;
-          console.error('[Forms] Submit error:', error);
-          return { success: false, error };
-        }
+        inFlight = runSubmit(handler);
+        inFlight.then(() => { inFlight = null; }, () => { inFlight = null; });
+        return inFlight;
       },
 
       // Handle input change event
       handleChange(event) {
         const target = event.target;
-        const field = target.name || target.id;
-        const value = target.type === 'checkbox' ? target.checked : target.value;
-        
-        this.setValue(field, value);
+        const field = fieldName(target);
+        // Radio buttons and checkbox lists are read as a group
+        const group = target.form && target.name
+          ? Array.from(target.form.elements).filter(el => el.name === target.name)
+          : [target];
+
+        this.setValue(field, readValue(target, group, getIn(this.values, field)));
       },
 
       // Handle input blur event
       handleBlur(event) {
         const target = event.target;
-        const field = target.name || target.id;
+        const field = fieldName(target);
         
         this.setTouched(field);
         
-        if (validators[field]) {
+        if (getValidator(toPath(field))) {
           this.validateField(field);
         }
       },
@@ -257,30 +711,35 @@
       getFieldProps(field) {
         return {
           name: field,
-          value: this.values[field] || '',
+          value: getIn(this.values, field) || '',
           onChange: (e) => this.handleChange(e),
           onBlur: (e) => this.handleBlur(e)
         };
       },
 
+      // Check if field is being validated asynchronously
+      isFieldValidating(field) {
+        return !!this.validating[toPath(field)];
+      },
+
       // Check if field has error
       hasError(field) {
-        return !!this.errors[field];
+        return !!this.errors[toPath(field)];
       },
 
       // Check if field is touched
       isTouched(field) {
-        return !!this.touched[field];
+        return !!this.touched[toPath(field)];
       },
 
       // Get field error message
       getError(field) {
-        return this.errors[field] || null;
+        return this.errors[toPath(field)] || null;
       },
 
       // Get field value
       getValue(field) {
-        return this.values[field];
+        return getIn(this.values, field);
       },
 
       // Check if field should show error (touched + has error)
@@ -288,30 +747,322 @@
         return this.isTouched(field) && this.hasError(field);
       },
 
-      // Bind form to DOM inputs
+      // Render field errors accessibly inside `container`
+      // Each error goes into the field's [data-error-for="field"] element or
+      // an element created after the input. Invalid inputs get aria-invalid,
+      // aria-describedby and aria-errormessage. A failed submit() focuses the
+      // first invalid field and announces a summary in an aria-live region.
+      // Returns a function that removes everything it rendered.
+      bindErrors(container, options = {}) {
+        const root = typeof container === 'string'
+          ? document.querySelector(container)
+          : container;
+
+        if (!root) {
+          console.warn('[Forms] bindErrors: container not found');
+          return () => {};
+        }
+
+        const {
+          errorClass = 'form-error',
+          invalidClass = 'is-invalid',
+          showAll = false, // show errors of untouched fields too
+          focus = true,
+          summary = true, // true (created), an element, a selector, or false
+          summaryMessage = (fields) => fields.length === 1
+            ? 'There is 1 error in the form'
+            : `There are ${fields.length} errors in the form`
+        } = options;
+
+        const outlets = new Map(); // field -> { el, created }
+        const described = new Map(); // input -> error element id
+
+        // Live region for the submit summary
+        let region = null;
+        let createdRegion = false;
+        if (summary) {
+          region = summary === true ? null
+            : typeof summary === 'string' ? document.querySelector(summary)
+            : summary;
+          if (!region) {
+            region = document.createElement('div');
+            region.className = `${errorClass}-summary`;
+            root.insertBefore(region, root.firstChild);
+            createdRegion = true;
+          }
+          if (!region.hasAttribute('role')) region.setAttribute('role', 'status');
+          if (!region.hasAttribute('aria-live')) region.setAttribute('aria-live', 'polite');
+        }
+
+        const errorTargets = () => Array.from(root.querySelectorAll('[data-error-for]'));
+
+        const outletFor = (field, group) => {
+          const known = outlets.get(field);
+          if (known && known.el.isConnected) return known;
+
+          let el = errorTargets().find(target => toPath(target.getAttribute('data-error-for')) === field);
+          const created = !el;
+          if (created) {
+            if (group.length === 0) return null;
+            el = document.createElement('div');
+            el.className = errorClass;
+            const last = group[group.length - 1];
+            (last.closest('label') || last).insertAdjacentElement('afterend', el);
+          }
+          if (!el.id) el.id = `form-error-${++errorIdCounter}`;
+
+          const outlet = { el, created };
+          outlets.set(field, outlet);
+          return outlet;
+        };
+
+        const markInvalid = (input, id) => {
+          input.setAttribute('aria-invalid', 'true');
+          if (invalidClass) input.classList.add(invalidClass);
+          described.set(input, id);
+          if (!id) return;
+          const tokens = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+          if (!tokens.includes(id)) input.setAttribute('aria-describedby', tokens.concat(id).join(' '));
+          input.setAttribute('aria-errormessage', id);
+        };
+
+        const markValid = (input) => {
+          input.removeAttribute('aria-invalid');
+          if (invalidClass) input.classList.remove(invalidClass);
+          const id = described.get(input);
+          described.delete(input);
+          if (!id) return;
+          const tokens = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(t => t && t !== id);
+          if (tokens.length) {
+            input.setAttribute('aria-describedby', tokens.join(' '));
+          } else {
+            input.removeAttribute('aria-describedby');
+          }
+          if (input.getAttribute('aria-errormessage') === id) input.removeAttribute('aria-errormessage');
+        };
+
+        // Re-queries the container on every run so added rows are picked up
+        const render = () => {
+          const groups = new Map();
+          root.querySelectorAll(CONTROL_SELECTOR).forEach(input => {
+            const field = toPath(fieldName(input));
+            if (!field) return;
+            if (!groups.has(field)) groups.set(field, []);
+            groups.get(field).push(input);
+          });
+
+          const fields = new Set(groups.keys());
+          errorTargets().forEach(target => fields.add(toPath(target.getAttribute('data-error-for'))));
+
+          fields.forEach(field => {
+            const group = groups.get(field) || [];
+            const shown = showAll ? this.hasError(field) : this.shouldShowError(field);
+            const message = shown ? this.getError(field) : null;
+            const outlet = message ? outletFor(field, group) : outlets.get(field);
+
+            if (outlet) {
+              outlet.el.textContent = message || '';
+              outlet.el.hidden = !message;
+            }
+            group.forEach(input => {
+              if (message) {
+                markInvalid(input, outlet && outlet.el.id);
+              } else if (described.has(input)) {
+                markValid(input);
+              }
+            });
+          });
+
+          // Inputs removed from the DOM (e.g. deleted rows)
+          described.forEach((id, input) => {
+            if (!root.contains(input)) described.delete(input);
+          });
+          outlets.forEach((outlet, field) => {
+            if (fields.has(field)) return;
+            if (outlet.created) outlet.el.remove();
+            outlets.delete(field);
+          });
+
+          if (region && this.errorFields.length === 0) region.textContent = '';
+        };
+
+        const onInvalidSubmit = () => {
+          if (region) region.textContent = summaryMessage(this.errorFields, this.errors);
+          if (!focus) return;
+          const first = Array.from(root.querySelectorAll(CONTROL_SELECTOR))
+            .find(input => this.hasError(toPath(fieldName(input))));
+          if (first && typeof first.focus === 'function') first.focus();
+        };
+
+        const dispose = effect(render);
+        invalidSubmitHandlers.add(onInvalidSubmit);
+
+        return () => {
+          dispose();
+          invalidSubmitHandlers.delete(onInvalidSubmit);
+          Array.from(described.keys()).forEach(markValid);
+          outlets.forEach(outlet => {
+            if (outlet.created) {
+              outlet.el.remove();
+            } else {
+              outlet.el.textContent = '';
+              outlet.el.hidden = false;
+            }
+          });
+          outlets.clear();
+          if (createdRegion) region.remove();
+        };
+      },
+
+      // Two-way bind inputs to values by name (or id / data-field)
+      // Number and date inputs give typed values, checkbox lists and
+      // <select multiple> give arrays, file inputs give File objects.
+      // State changes are written back to the DOM by effects.
+      // Returns a function that removes the listeners and effects it added.
       bindToInputs(selector) {
-        const inputs = typeof selector === 'string' 
+        const inputs = typeof selector === 'string'
           ? document.querySelectorAll(selector)
-          : selector;
+          : selector && selector.nodeType === 1 ? [selector] : selector;
 
-        inputs.forEach(input => {
-          const field = input.name || input.id;
-          
+        // Group elements by field so radios and checkbox lists act as one
+        const groups = new Map();
+        Array.from(inputs || []).forEach(input => {
+          const field = fieldName(input);
           if (!field) return;
+          const path = toPath(field);
+          if (!groups.has(path)) groups.set(path, []);
+          groups.get(path).push(input);
+        });
 
-          // Set initial value
-          if (input.type === 'checkbox') {
-            input.checked = !!this.values[field];
-          } else {
-            input.value = this.values[field] || '';
-          }
+        const cleanups = [];
+
+        groups.forEach((group, field) => {
+          const isGroup = group[0].type === 'radio' || group[0].type === 'checkbox';
+
+          // The element whose event is being applied to the state
+          let source = null;
 
-          // Add event listeners
-          input.addEventListener('input', (e) => this.handleChange(e));
-          input.addEventListener('blur', (e) => this.handleBlur(e));
+          const onChange = (e) => {
+            source = e.target;
+            try {
+              this.setValue(field, readValue(e.target, group, getIn(this.values, field)));
+            } finally {
+              source = null;
+            }
+          };
+          const onBlur = () => {
+            this.setTouched(field);
+            if (getValidator(field)) this.validateField(field);
+          };
+
+          group.forEach(input => {
+            const type = changeEvent(input);
+            input.addEventListener(type, onChange);
+            input.addEventListener('blur', onBlur);
+            cleanups.push(() => {
+              input.removeEventListener(type, onChange);
+              input.removeEventListener('blur', onBlur);
+            });
+          });
+
+          // State -> DOM. The element being edited is left alone, so a
+          // coerced value (a schema turning '1.' into 1) never replaces what
+          // the user is typing; others are skipped when they already show it.
+          cleanups.push(effect(() => {
+            const value = getIn(this.values, field);
+            (isGroup ? [group[0]] : group).forEach(input => {
+              if (input === source) return;
+              if (!isEqual(readValue(input, group, value), value)) {
+                writeValue(input, group, value);
+              }
+            });
+          }));
         });
 
-        return this;
+        return () => {
+          cleanups.forEach(cleanup => cleanup());
+          cleanups.length = 0;
+        };
+      },
+
+      // Field array helpers for a list of rows at `field`
+      // Keeps errors, touched and pending validation aligned with the rows
+      array(field) {
+        const path = toPath(field);
+        const form = this;
+
+        const rows = () => {
+          let list = getIn(form.values, path);
+          if (!Array.isArray(list)) {
+            setIn(form.values, path, []);
+            list = getIn(form.values, path);
+          }
+          return list;
+        };
+
+        const reindex = (mapIndex) => {
+          Object.keys(form.validating)
+            .filter(key => key.startsWith(path + '.'))
+            .forEach(cancelValidation);
+          remapRows(form.errors, path, mapIndex);
+          remapRows(form.touched, path, mapIndex);
+        };
+
+        return {
+          get fields() {
+            return rows();
+          },
+
+          get length() {
+            return rows().length;
+          },
+
+          push(...items) {
+            rows().push(...items);
+            return this;
+          },
+
+          insert(index, item) {
+            batch(() => {
+              reindex(i => (i >= index ? i + 1 : i));
+              rows().splice(index, 0, item);
+            });
+            return this;
+          },
+
+          remove(index) {
+            batch(() => {
+              reindex(i => (i === index ? -1 : i > index ? i - 1 : i));
+              rows().splice(index, 1);
+            });
+            return this;
+          },
+
+          move(from, to) {
+            batch(() => {
+              reindex(i => {
+                if (i === from) return to;
+                if (from < to && i > from && i <= to) return i - 1;
+                if (from > to && i >= to && i < from) return i + 1;
+                return i;
+              });
+              const list = rows();
+              list.splice(to, 0, list.splice(from, 1)[0]);
+            });
+            return this;
+          },
+
+          swap(a, b) {
+            batch(() => {
+              reindex(i => (i === a ? b : i === b ? a : i));
+              const list = rows();
+              const item = list[a];
+              list[a] = list[b];
+              list[b] = item;
+            });
+            return this;
+          }
+        };
       },
 
       // Convert to plain object
@@ -322,8 +1073,11 @@
           touched: { ...this.touched },
           isValid: this.isValid,
           isDirty: this.isDirty,
+          isValidating: this.isValidating,
           isSubmitting: this.isSubmitting,
-          submitCount: this.submitCount
+          submitCount: this.submitCount,
+          submitError: this.submitError,
+          lastSubmittedAt: this.lastSubmittedAt
         };
       }
     };
@@ -407,23 +1161,225 @@
       return validatorFn;
     },
 
+    // Runs validators in order and stops at the first error; an async
+    // validator makes the rest of the chain async
     combine(...validators) {
-      return (value, allValues) => {
-        for (const validator of validators) {
-          const error = validator(value, allValues);
-          if (error) return error;
-        }
-        return null;
+      return (value, allValues, context) => {
+        const run = (start) => {
+          for (let i = start; i < validators.length; i++) {
+            const error = validators[i](value, allValues, context);
+            if (isPromise(error)) {
+              return error.then(result => result || run(i + 1));
+            }
+            if (error) return error;
+          }
+          return null;
+        };
+        return run(0);
       };
     }
   };
 
+  // ============================================================================
+  // FORMS FROM HTML
+  // ============================================================================
+
+  // Native `required`: unchecked boxes, empty lists and blank text are missing
+  function isMissing(value) {
+    return value == null || value === false || value === '' ||
+      (typeof value === 'string' && value.trim() === '') ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  // Validators equivalent to the native constraint attributes of a control
+  function constraintValidators(input) {
+    const list = [];
+    const attr = name => input.getAttribute(name);
+
+    if (input.hasAttribute('required')) {
+      list.push(value => isMissing(value) ? 'This field is required' : null);
+    }
+    if (attr('minlength') !== null) list.push(Validators.minLength(Number(attr('minlength'))));
+    if (attr('maxlength') !== null) list.push(Validators.maxLength(Number(attr('maxlength'))));
+    if (attr('pattern') !== null) {
+      // Native patterns match the whole value; `title` describes the format.
+      // Like browsers, skip a pattern that does not compile.
+      try {
+        const regex = new RegExp(`^(?:${attr('pattern')})$`, 'u');
+        list.push(Validators.pattern(regex, attr('title') || undefined));
+      } catch (error) {
+        console.warn(`[Forms] fromElement: ignoring invalid pattern "${attr('pattern')}":`, error.message);
+      }
+    }
+    if (input.type === 'email') list.push(Validators.email());
+
+    if (input.type === 'number' || input.type === 'range') {
+      if (attr('min') !== null) list.push(Validators.min(Number(attr('min'))));
+      if (attr('max') !== null) list.push(Validators.max(Number(attr('max'))));
+    } else if (input.type === 'date' || input.type === 'datetime-local') {
+      const time = value => new Date(value).getTime();
+      if (attr('min') !== null) list.push(Validators.min(time(attr('min')), `Must be on or after ${attr('min')}`));
+      if (attr('max') !== null) list.push(Validators.max(time(attr('max')), `Must be on or before ${attr('max')}`));
+    }
+
+    return list;
+  }
+
+  /**
+   * Create a form from an existing <form> element
+   * Initial values come from the controls, native constraints (required,
+   * minlength, maxlength, pattern, min, max, type=email) become validators,
+   * and the native submit/reset events run form.submit()/form.reset().
+   * Without onSubmit, a valid form is submitted natively, keeping the
+   * button that submitted it. Hidden inputs are included in the values.
+   *
+   * @param {HTMLFormElement|string} formEl - Form element or selector
+   * @param {Object} options - createForm options, plus:
+   *   customValidity: mirror errors with setCustomValidity() and show the
+   *   browser's messages on a failed submit (default: on without onSubmit)
+   * @returns {Object|null} Reactive form with a detach() method
+   */
+  function fromElement(formEl, options = {}) {
+    const el = typeof formEl === 'string' ? document.querySelector(formEl) : formEl;
+    if (!el) {
+      console.error('[Forms] fromElement: form element not found');
+      return null;
+    }
+
+    const groups = new Map();
+    el.querySelectorAll(CONTROL_SELECTOR).forEach(input => {
+      const field = toPath(fieldName(input));
+      if (!field) return;
+      if (!groups.has(field)) groups.set(field, []);
+      groups.get(field).push(input);
+    });
+
+    // Hidden inputs (csrf tokens, record ids) are part of the values, but
+    // are never validated or touched
+    const hidden = new Map();
+    el.querySelectorAll('input[type=hidden]').forEach(input => {
+      const field = toPath(fieldName(input));
+      if (field && !hidden.has(field)) hidden.set(field, input);
+    });
+
+    const values = {};
+    const validators = {};
+    hidden.forEach((input, field) => setIn(values, field, input.value));
+    groups.forEach((group, field) => {
+      setIn(values, field, readValue(group[0], group, undefined));
+      // A radio group is required when any of its radios is
+      const list = constraintValidators(group.find(input => input.hasAttribute('required')) || group[0]);
+      if (list.length) validators[field] = Validators.combine(...list);
+    });
+
+    // Explicit validators run after the native constraints
+    Object.entries(options.validators || {}).forEach(([field, validator]) => {
+      const path = toPath(field);
+      validators[path] = validators[path] ? Validators.combine(validators[path], validator) : validator;
+    });
+
+    const form = createForm(values, Object.assign({}, options, { validators }));
+    const controls = Array.from(groups.values()).reduce((all, group) => all.concat(group), []);
+    const unbind = form.bindToInputs(controls.concat(Array.from(hidden.values())));
+
+    if (hidden.size > 0) {
+      const touchAll = form.touchAll;
+      form.touchAll = () => batch(() => {
+        touchAll();
+        Array.from(hidden.keys()).forEach(field => { delete form.touched[field]; });
+        return form;
+      });
+    }
+
+    // Errors are shown by the form, not by the browser's validation UI
+    const noValidate = el.noValidate;
+    el.noValidate = true;
+
+    // Without onSubmit the form posts natively, so errors need the browser's UI
+    const nativeSubmit = !options.onSubmit;
+    const customValidity = options.customValidity !== undefined ? options.customValidity : nativeSubmit;
+
+    const stopValidity = customValidity
+      ? effect(() => {
+          groups.forEach((group, field) => {
+            const error = form.getError(field) || '';
+            group.forEach(input => {
+              if (typeof input.setCustomValidity === 'function') input.setCustomValidity(error);
+            });
+          });
+        })
+      : null;
+
+    // Posting natively dispatches submit again through requestSubmit(), so
+    // the submitter's name/value and formaction are kept; onSubmit lets that
+    // one event through. Called on HTMLFormElement.prototype because a
+    // control named "submit" or "requestSubmit" shadows the form's methods.
+    let resubmitting = false;
+    const submitNatively = (submitter) => {
+      const proto = HTMLFormElement.prototype;
+      resubmitting = true;
+      try {
+        if (typeof proto.requestSubmit === 'function') {
+          proto.requestSubmit.call(el, submitter && submitter.form === el ? submitter : null);
+        } else {
+          proto.submit.call(el);
+        }
+      } finally {
+        resubmitting = false;
+      }
+    };
+
+    if (nativeSubmit) {
+      const submit = form.submit;
+      form.submit = (customHandler) => submit(customHandler || (() => submitNatively(null)));
+    }
+
+    const onSubmit = async (e) => {
+      if (resubmitting) return;
+      e.preventDefault();
+      const submitter = e.submitter || null;
+      try {
+        const result = await form.submit(nativeSubmit ? () => submitNatively(submitter) : undefined);
+        if (customValidity && result && result.errors && typeof el.reportValidity === 'function') {
+          el.reportValidity();
+        }
+      } catch (error) {
+        console.error('[Forms] fromElement: submit failed:', error);
+      }
+    };
+    const onReset = (e) => {
+      e.preventDefault();
+      form.reset();
+    };
+
+    el.addEventListener('submit', onSubmit);
+    el.addEventListener('reset', onReset);
+
+    // Remove listeners and effects added by fromElement()
+    form.detach = () => {
+      el.removeEventListener('submit', onSubmit);
+      el.removeEventListener('reset', onReset);
+      unbind();
+      if (stopValidity) {
+        stopValidity();
+        controls.forEach(input => {
+          if (typeof input.setCustomValidity === 'function') input.setCustomValidity('');
+        });
+      }
+      el.noValidate = noValidate;
+    };
+
+    return form;
+  }
+
   // Export Forms API
   const FormsAPI = {
     create: createForm,
     form: createForm,
+    fromElement,
     validators: Validators,
-    v: Validators // Shorthand
+    v: Validators, // Shorthand
+    expandPath
   };
 
   // Attach to global
@@ -5,7 +5,7 @@
  * Fixes memory leaks and provides proper lifecycle management
  * Load this AFTER 01_dh-reactive.js
  * @license MIT
- * @version 1.0.1
+ * @version 1.1.0
  */
 
 (function(global) {
@@ -21,154 +21,25 @@
   }
 
   // ============================================================================
-  // STEP 2: Global Effect Registry
+  // STEP 2: Effect Lifecycle (handled by the core)
   // ============================================================================
   
-  const effectRegistry = new WeakMap(); // effect -> { states: Set, disposed: boolean }
-  const stateRegistry = new WeakMap(); // state -> { effects: Map<key, Set<effect>> }
-
-  /**
-   * Register an effect with its state dependencies
-   */
-  function registerEffect(effectFn, state, key) {
-    // Initialize effect registry entry
-    if (!effectRegistry.has(effectFn)) {
-      effectRegistry.set(effectFn, {
-        states: new Map(),
-        disposed: false
-      });
-    }
-    
-    const effectData = effectRegistry.get(effectFn);
-    
-    // Track which keys this effect depends on for this state
-    if (!effectData.states.has(state)) {
-      effectData.states.set(state, new Set());
-    }
-    effectData.states.get(state).add(key);
-    
-    // Initialize state registry entry
-    if (!stateRegistry.has(state)) {
-      stateRegistry.set(state, {
-        effects: new Map()
-      });
-    }
-    
-    const stateData = stateRegistry.get(state);
-    
-    // Add effect to this state's key
-    if (!stateData.effects.has(key)) {
-      stateData.effects.set(key, new Set());
-    }
-    stateData.effects.get(key).add(effectFn);
-  }
-
-  /**
-   * Unregister an effect from all its dependencies
-   */
-  function unregisterEffect(effectFn) {
-    const effectData = effectRegistry.get(effectFn);
-    if (!effectData) return;
-    
-    // Mark as disposed
-    effectData.disposed = true;
-    
-    // Remove this effect from all states it was tracking
-    effectData.states.forEach((keys, state) => {
-      const stateData = stateRegistry.get(state);
-      if (!stateData) return;
-      
-      keys.forEach(key => {
-        const effectSet = stateData.effects.get(key);
-        if (effectSet) {
-          effectSet.delete(effectFn);
-          
-          // Clean up empty sets
-          if (effectSet.size === 0) {
-            stateData.effects.delete(key);
-          }
-        }
-      });
-    });
-    
-    // Clear effect's state tracking
-    effectData.states.clear();
-  }
-
+  // Since 01_dh-reactive.js v2.1, effects record their own (state, key)
+  // subscriptions, drop stale ones on every re-run and fully detach when
+  // disposed. This module only layers state-level helpers on top of that.
+  
   /**
    * Check if an effect is disposed
+   * Accepts the disposer returned by effect() or the effect runner itself
    */
   function isEffectDisposed(effectFn) {
-    const effectData = effectRegistry.get(effectFn);
-    return effectData ? effectData.disposed : false;
-  }
-
-  // ============================================================================
-  // STEP 3: Enhanced Effect Function with Cleanup
-  // ============================================================================
-  
-  const originalEffect = global.ReactiveUtils.effect;
-  
-  /**
-   * Enhanced effect with proper cleanup
-   */
-  function enhancedEffect(fn) {
-    let isDisposed = false;
-    const trackedStates = new Map();
-    
-    const execute = () => {
-      if (isDisposed) return;
-      
-      // Clear previous tracking
-      trackedStates.forEach((keys, state) => {
-        keys.forEach(key => {
-          const stateData = stateRegistry.get(state);
-          if (stateData && stateData.effects.has(key)) {
-            stateData.effects.get(key).delete(execute);
-          }
-        });
-      });
-      trackedStates.clear();
-      
-      // Run the effect with tracking
-      const prevEffect = global.ReactiveUtils.__currentEffect;
-      global.ReactiveUtils.__currentEffect = {
-        fn: execute,
-        isComputed: false,
-        onDep: (state, key) => {
-          if (!trackedStates.has(state)) {
-            trackedStates.set(state, new Set());
-          }
-          trackedStates.get(state).add(key);
-          registerEffect(execute, state, key);
-        }
-      };
-      
-      try {
-        fn();
-      } catch (error) {
-        console.error('[Cleanup] Effect error:', error);
-      } finally {
-        global.ReactiveUtils.__currentEffect = prevEffect;
-      }
-    };
-    
-    // Create disposal function
-    const dispose = () => {
-      if (isDisposed) return;
-      isDisposed = true;
-      unregisterEffect(execute);
-      trackedStates.clear();
-    };
-    
-    // Run initially
-    execute();
-    
-    return dispose;
+    if (!effectFn) return false;
+    const runner = effectFn.effect || effectFn;
+    return runner.active === false;
   }
 
   // ============================================================================
-  // STEP 4: Patch Reactive Proxy Creation
+  // STEP 3: Patch Reactive Proxy Creation
   // ============================================================================
   
   const originalCreateReactive = global.ReactiveUtils.state;
@@ -204,40 +75,8 @@
     });
     
     // Store original methods
-    const originalWatch = state.$watch;
     const originalComputed = state.$computed;
     
-    // ========================================================================
-    // FIXED: Enhanced $watch with proper property override
-    // ========================================================================
-    if (originalWatch) {
-      Object.defineProperty(state, '$watch', {
-        value: function(keyOrFn, callback) {
-          const cleanup = enhancedEffect(() => {
-            let oldValue;
-            if (typeof keyOrFn === 'function') {
-              const newValue = keyOrFn.call(this);
-              if (newValue !== oldValue) {
-                callback(newValue, oldValue);
-                oldValue = newValue;
-              }
-            } else {
-              const newValue = this[keyOrFn];
-              if (newValue !== oldValue) {
-                callback(newValue, oldValue);
-                oldValue = newValue;
-              }
-            }
-          });
-          
-          return cleanup;
-        },
-        writable: true,
-        enumerable: false,
-        configurable: true
-      });
-    }
-    
     // Track computed properties for cleanup
     if (!state.__computedCleanups) {
       Object.defineProperty(state, '__computedCleanups', {
@@ -292,16 +131,7 @@
           }
           
           // Remove all effects tracking this state
-          const stateData = stateRegistry.get(this);
-          if (stateData) {
-            stateData.effects.forEach((effectSet) => {
-              effectSet.forEach(effect => {
-                unregisterEffect(effect);
-              });
-              effectSet.clear();
-            });
-            stateData.effects.clear();
-          }
+          global.ReactiveUtils.__stopEffects(this);
         },
         writable: true,
         enumerable: false,
@@ -311,15 +141,11 @@
   }
 
   // ============================================================================
-  // STEP 5: Patch Existing Library Functions
+  // STEP 4: Patch Existing Library Functions
   // ============================================================================
   
   // Override the state creation function
   global.ReactiveUtils.state = enhancedCreateReactive;
-  global.ReactiveUtils.effect = enhancedEffect;
-  
-  // Expose __currentEffect for tracking
-  global.ReactiveUtils.__currentEffect = null;
   
   // Patch createState if it exists
   if (global.ReactiveUtils.createState) {
@@ -332,7 +158,7 @@
   }
 
   // ============================================================================
-  // STEP 6: Enhanced Component with Automatic Cleanup
+  // STEP 5: Enhanced Component with Automatic Cleanup
   // ============================================================================
   
   if (global.ReactiveUtils.component) {
@@ -365,7 +191,7 @@
   }
 
   // ============================================================================
-  // STEP 7: Enhanced Reactive Builder with Cleanup
+  // STEP 6: Enhanced Reactive Builder with Cleanup
   // ============================================================================
   
   if (global.ReactiveUtils.reactive) {
@@ -415,7 +241,7 @@
   }
 
   // ============================================================================
-  // STEP 8: Cleanup Utilities
+  // STEP 7: Cleanup Utilities
   // ============================================================================
   
   const CleanupAPI = {
@@ -475,13 +301,21 @@
     
     /**
      * Create a cleanup scope
+     * Effects, watchers and bindings created inside fn are collected
+     * automatically (see ReactiveUtils.effectScope); `add` registers extras
      */
     scope(fn) {
-      const collector = this.collector();
+      const { effectScope, onScopeDispose } = global.ReactiveUtils;
+      const scope = effectScope();
+      const add = (cleanup) => {
+        if (typeof cleanup === 'function') {
+          scope.run(() => onScopeDispose(cleanup));
+        }
+      };
       
-      fn((cleanup) => collector.add(cleanup));
+      scope.run(() => fn(add));
       
-      return () => collector.cleanup();
+      return () => scope.stop();
     },
     
     /**
@@ -501,7 +335,7 @@
   };
 
   // ============================================================================
-  // STEP 9: Export API
+  // STEP 8: Export API
   // ============================================================================
   
   global.ReactiveCleanup = CleanupAPI;
@@ -514,7 +348,7 @@
   }
 
   // ============================================================================
-  // STEP 10: Diagnostic Tools
+  // STEP 9: Diagnostic Tools
   // ============================================================================
   
   let debugMode = false;
@@ -563,6 +397,6 @@
     }, 10);
   };
 
-  console.log('[Cleanup System] v1.0.1 loaded successfully');
+  console.log('[Cleanup System] v1.1.0 loaded successfully');
 
 })(typeof window !== 'undefined' ? window : global);
\ No newline at end of file
@@ -25,77 +25,19 @@
   // ============================================================================
   // Why: Prevents race conditions and ensures consistent state updates
   // What: Priority-based queue with cycle detection
+  //
+  // The queue itself lives in the core (01_dh-reactive.js) so effects, watchers
+  // and bindings share one scheduler. These are thin aliases kept for the
+  // existing ReactiveEnhancements API.
   
-  const PRIORITY = {
-    COMPUTED: 1,    // Run computed properties first
-    WATCH: 2,       // Then run watchers
-    EFFECT: 3       // Finally run effects
-  };
-
-  const updateQueue = new Map(); // priority -> Set of effects
-  let isFlushPending = false;
-  let flushCount = 0;
-  const MAX_FLUSH_COUNT = 100; // Prevent infinite loops
+  const PRIORITY = global.ReactiveUtils.PRIORITY;
 
   /**
    * Queue an update with priority
-   * Computed properties run before regular effects to ensure consistency
+   * Lower priorities run first within the same flush
    */
   function queueUpdate(fn, priority = PRIORITY.EFFECT) {
-    if (!updateQueue.has(priority)) {
-      updateQueue.set(priority, new Set());
-    }
-    updateQueue.get(priority).add(fn);
-    
-    if (!isFlushPending) {
-      isFlushPending = true;
-      queueMicrotask(flushQueue);
-    }
-  }
-
-  /**
-   * Flush all queued updates in priority order
-   * This is the heart of consistent batching
-   */
-  function flushQueue() {
-    if (flushCount > MAX_FLUSH_COUNT) {
-      console.error(
-        '[Enhancements] Infinite update loop detected. ' +
-        'An effect may be modifying state that triggers itself.'
-      );
-      updateQueue.clear();
-      flushCount = 0;
-      isFlushPending = false;
-      return;
-    }
-    
-    flushCount++;
-    isFlushPending = false;
-    
-    // Sort priorities: 1, 2, 3 (computed → watch → effect)
-    const priorities = Array.from(updateQueue.keys()).sort((a, b) => a - b);
-    
-    for (const priority of priorities) {
-      const effects = updateQueue.get(priority);
-      if (!effects) continue;
-      
-      updateQueue.delete(priority);
-      
-      effects.forEach(effect => {
-        try {
-          effect();
-        } catch (e) {
-          console.error('[Enhancements] Effect error:', e);
-        }
-      });
-    }
-    
-    // If new updates were queued during flush, schedule another flush
-    if (updateQueue.size > 0) {
-      queueMicrotask(flushQueue);
-    } else {
-      flushCount = 0;
-    }
+    global.ReactiveUtils.queueJob(fn, priority);
   }
 
   /**
@@ -333,7 +275,7 @@
   // What: Smart caching with dependency tracking and cycle detection
   
   const computedStack = [];
-  const computedCache = new WeakMap(); // state -> Map of computed values
+  const computedCache = new WeakMap(); // state -> Map of computed metadata
 
   /**
    * Get or create computed cache for a state
@@ -346,7 +288,8 @@
   }
 
   /**
-   * Enhanced computed that caches across effects in the same tick
+   * Enhanced computed with cycle detection and error reporting
+   * Caching and invalidation are left to the core $computed
    */
   function enhanceComputed() {
     const originalState = global.ReactiveUtils.state;
@@ -358,66 +301,52 @@
       const original$Computed = state.$computed;
       
       // Replace with enhanced version
-      state.$computed = function(key, fn) {
+      state.$computed = function(key, def) {
         const cache = getComputedCache(this);
+        const fn = typeof def === 'function' ? def : def && def.get;
+        
+        if (typeof fn !== 'function') {
+          return original$Computed.call(this, key, def);
+        }
         
         // Track cycle detection
         const computedMeta = {
           key,
           fn,
-          computing: false,
-          value: undefined,
-          dirty: true,
-          tick: 0
+          computing: false
         };
         
         cache.set(key, computedMeta);
         
-        // Create the computed property
-        Object.defineProperty(this, key, {
-          get() {
-            // Cycle detection
-            if (computedMeta.computing) {
-              const chain = computedStack.map(c => c.key).join(' → ');
-              throw new Error(
-                `[Enhancements] Circular dependency: ${chain} → ${key}`
-              );
-            }
-            
-            // Check if we need to recompute
-            const currentTick = flushCount;
-            if (computedMeta.dirty || computedMeta.tick !== currentTick) {
-              computedMeta.computing = true;
-              computedStack.push(computedMeta);
-              
-              try {
-                computedMeta.value = fn.call(this);
-                computedMeta.dirty = false;
-                computedMeta.tick = currentTick;
-              } catch (error) {
-                console.error(`[Enhancements] Error in computed "${key}":`, error);
-                throw error;
-              } finally {
-                computedMeta.computing = false;
-                computedStack.pop();
-              }
-            }
-            
-            return computedMeta.value;
-          },
-          
-          set() {
-            console.warn(
-              `[Enhancements] Cannot set computed property "${key}". ` +
-              `Computed properties are read-only.`
+        const guarded = function() {
+          // Cycle detection
+          if (computedMeta.computing) {
+            const chain = computedStack.map(c => c.key).join(' → ');
+            throw new Error(
+              `[Enhancements] Circular dependency: ${chain} → ${key}`
             );
-          },
+          }
           
-          enumerable: true,
-          configurable: true
-        });
+          computedMeta.computing = true;
+          computedStack.push(computedMeta);
+          
+          try {
+            return fn.call(this);
+          } catch (error) {
+            console.error(`[Enhancements] Error in computed "${key}":`, error);
+            throw error;
+          } finally {
+            computedMeta.computing = false;
+            computedStack.pop();
+          }
+        };
         
-        return this;
+        // Keep the setter of a { get, set } descriptor
+        return original$Computed.call(
+          this,
+          key,
+          typeof def === 'function' ? guarded : { get: guarded, set: def.set }
+        );
       };
       
       return state;
@@ -499,6 +428,7 @@
 
   /**
    * Create watch with error boundary
+   * Watch options (deep, immediate, once, equals) are passed through to $watch
    */
   function safeWatch(state, keyOrFn, callback, options = {}) {
     const boundary = new ErrorBoundary(options.errorBoundary || {});
@@ -509,7 +439,8 @@
       created: Date.now()
     });
     
-    return state.$watch(keyOrFn, wrappedCallback);
+    const { errorBoundary, ...watchOptions } = options;
+    return state.$watch(keyOrFn, wrappedCallback, watchOptions);
   }
 
   // ============================================================================
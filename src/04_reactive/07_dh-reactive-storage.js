@@ -240,7 +240,9 @@
           return obj.items; // Collection
         }
         if (obj.values !== undefined) {
-          return { values: obj.values, errors: obj.errors || {}, touched: obj.touched || {} }; // Form
+          const form = { values: obj.values, errors: obj.errors || {}, touched: obj.touched || {} }; // Form
+          if (typeof obj.currentStep === 'number') form.currentStep = obj.currentStep; // Wizard
+          return form;
         }
         if (obj.$raw) {
           return obj.$raw; // State
@@ -264,6 +266,7 @@
           Object.assign(obj.values, value.values);
           if (value.errors) obj.errors = value.errors;
           if (value.touched) obj.touched = value.touched;
+          if (typeof value.currentStep === 'number' && typeof obj.goTo === 'function') obj.goTo(value.currentStep);
         } else {
           Object.assign(obj, value);
         }
@@ -40,6 +40,18 @@
    */
   global.createState = ReactiveUtils.createState;
 
+  /**
+   * Create state that only tracks top-level properties
+   * @example const cache = shallowState({ payload: bigResponse });
+   */
+  global.shallowState = ReactiveUtils.shallowState;
+
+  /**
+   * Create a read-only view of state
+   * @example const view = readonly(myState);
+   */
+  global.readonly = ReactiveUtils.readonly;
+
   /**
    * Create reactive effect
    * @example effect(() => console.log(state.count));
@@ -52,6 +64,18 @@
    */
   global.batch = ReactiveUtils.batch;
 
+  /**
+   * Collect effects, watchers and bindings for one-call teardown
+   * @example const scope = effectScope(); scope.run(() => { ... }); scope.stop();
+   */
+  global.effectScope = ReactiveUtils.effectScope;
+
+  /**
+   * Run a callback when the current effect scope stops
+   * @example onScopeDispose(() => socket.close());
+   */
+  global.onScopeDispose = ReactiveUtils.onScopeDispose;
+
   // ============================================================
   // COMPUTED & WATCH
   // ============================================================
@@ -59,6 +83,7 @@
   /**
    * Add computed properties to state
    * @example computed(state, { total: function() { return this.a + this.b; } });
+   * @example computed(state, { fullName: { get() { ... }, set(value) { ... } } });
    */
   global.computed = ReactiveUtils.computed;
 
@@ -118,6 +143,12 @@
    */
   global.refs = ReactiveUtils.refs;
 
+  /**
+   * Create a standalone computed reference
+   * @example const total = computedRef(() => cart.items.length * price.value);
+   */
+  global.computedRef = ReactiveUtils.computedRef;
+
   /**
    * Create reactive collection
    * @example const items = collection([1, 2, 3]);
@@ -135,7 +166,7 @@
   // ============================================================
 
   /**
-   * Manually patch array for reactivity
+   * No-op kept for compatibility - arrays are reactive natively
    * @example patchArray(state, 'items');
    */
   global.patchArray = ReactiveUtils.patchArray || global.patchReactiveArray;
@@ -240,6 +271,18 @@
    */
   global.toRaw = ReactiveUtils.toRaw;
 
+  /**
+   * Check if value is a ref or computed ref
+   * @example if (isRef(total)) { ... }
+   */
+  global.isRef = ReactiveUtils.isRef;
+
+  /**
+   * Keep an object out of reactivity
+   * @example state({ map: markRaw(new ThirdPartyMap()) });
+   */
+  global.markRaw = ReactiveUtils.markRaw;
+
   /**
    * Manually notify changes
    * @example notify(state, 'count');
@@ -264,6 +307,18 @@
    */
   global.untrack = ReactiveUtils.untrack;
 
+  /**
+   * Run all queued effects right now
+   * @example state.count++; flushSync();
+   */
+  global.flushSync = ReactiveUtils.flushSync;
+
+  /**
+   * Wait for the pending effect flush
+   * @example await nextTick();
+   */
+  global.nextTick = ReactiveUtils.nextTick;
+
   // ============================================================
   // CLEANUP SYSTEM (Module 05)
   // ============================================================
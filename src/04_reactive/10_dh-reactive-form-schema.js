@@ -0,0 +1,434 @@
+/**
+ * 10_dh-reactive-form-schema.js
+ *
+ * Declarative schema validation for DOM Helpers Forms
+ * Requires: 01_dh-reactive.js (ReactiveUtils.paths). Needs no DOM and no
+ * Forms, so the same schema can be used in the browser
+ * (Forms.create(initial, { schema })) and on the server (load
+ * 01_dh-reactive.js, then FormSchema.validate(schema, values)).
+ *
+ * Schema: an object of field rules
+ *   {
+ *     name:    { type: 'string', required: true, min: 2 },
+ *     age:     { type: 'number', integer: true, min: 18 },
+ *     agree:   { type: 'boolean', required: true, message: 'Please accept' },
+ *     address: { type: 'object', shape: { city: { type: 'string', required: true } } },
+ *     items:   { type: 'array', min: 1, of: { type: 'object', shape: { qty: { type: 'number', min: 1 } } } },
+ *     vat:     { type: 'string', when: { field: 'isCompany', is: true, then: { required: true } } },
+ *     $refine: [{ path: 'confirm', check: (values) => values.confirm === values.password, message: 'Passwords must match' }]
+ *   }
+ *
+ * Rules: type, required, min, max, integer, pattern, email, oneOf,
+ *        validate(value, values), message, messages, coerce (default true),
+ *        when { field, is, then, otherwise }, shape, of
+ *
+ * Errors use the same flat path keys as Forms: 'address.city', 'items.0.qty'
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.ReactiveUtils || !global.ReactiveUtils.paths) {
+    console.error('[FormSchema] ReactiveUtils not found. Load 01_dh-reactive.js first.');
+    return;
+  }
+
+  const { toPath, getIn } = global.ReactiveUtils.paths;
+
+  const REFINE_KEY = '$refine';
+  const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  const defaultMessages = {
+    required: 'This field is required',
+    string: 'Must be text',
+    number: 'Must be a number',
+    boolean: 'Must be true or false',
+    date: 'Must be a valid date',
+    array: 'Must be a list',
+    object: 'Invalid value',
+    integer: 'Must be a whole number',
+    email: 'Invalid email address',
+    pattern: 'Invalid format',
+    oneOf: 'Invalid option',
+    minLength: (min) => `Must be at least ${min} characters`,
+    maxLength: (max) => `Must be no more than ${max} characters`,
+    min: (min) => `Must be at least ${min}`,
+    max: (max) => `Must be no more than ${max}`,
+    minItems: (min) => `Must have at least ${min} items`,
+    maxItems: (max) => `Must have no more than ${max} items`,
+    minDate: (min) => `Must be on or after ${formatDate(min)}`,
+    maxDate: (max) => `Must be on or before ${formatDate(max)}`
+  };
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  function formatDate(date) {
+    const value = toDate(date);
+    return value ? value.toISOString().slice(0, 10) : String(date);
+  }
+
+  function toDate(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'string' || typeof value === 'number') {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+  }
+
+  // Tag check instead of prototype identity: works across realms and for
+  // reactive proxies
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  function isEmpty(value) {
+    return value === undefined || value === null ||
+      (typeof value === 'string' && value.trim() === '');
+  }
+
+  function joinPath(base, key) {
+    return base ? `${base}.${key}` : String(key);
+  }
+
+  function message(rule, name, ...args) {
+    if (rule.messages && rule.messages[name]) return rule.messages[name];
+    if (rule.message) return rule.message;
+    const fallback = defaultMessages[name];
+    return typeof fallback === 'function' ? fallback(...args) : fallback;
+  }
+
+  // Field rules of an object level, without the $refine entry
+  function fieldsOf(shape) {
+    return Object.keys(shape || {}).filter(key => key !== REFINE_KEY);
+  }
+
+  // ============================================================================
+  // RULE RESOLUTION
+  // ============================================================================
+
+  /**
+   * Find the rule for a concrete or pattern path ('items.2.qty', 'items.*.qty')
+   */
+  function ruleAt(schema, path) {
+    const keys = toPath(path).split('.');
+    let shape = schema;
+    let rule = null;
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      if (rule && rule.type === 'array') {
+        if (!/^(\d+|\*)$/.test(key) || !rule.of) return null;
+        rule = rule.of;
+        shape = rule.shape || null;
+        continue;
+      }
+      if (!shape || key === REFINE_KEY || !shape[key]) return null;
+      rule = shape[key];
+      shape = rule.shape || null;
+    }
+    return rule;
+  }
+
+  /**
+   * Apply `when` branches against the current values
+   * when: { field, is, then, otherwise } or an array of those,
+   * `is` may be a value or a predicate
+   */
+  function resolveRule(rule, values) {
+    if (!rule || !rule.when) return rule;
+    const conditions = Array.isArray(rule.when) ? rule.when : [rule.when];
+
+    return conditions.reduce((resolved, condition) => {
+      const other = getIn(values, condition.field);
+      const matches = typeof condition.is === 'function'
+        ? !!condition.is(other, values)
+        : 'is' in condition ? other === condition.is : !!other;
+      const branch = matches ? condition.then : condition.otherwise;
+      return branch ? Object.assign({}, resolved, branch) : resolved;
+    }, Object.assign({}, rule, { when: null }));
+  }
+
+  // ============================================================================
+  // COERCION
+  // ============================================================================
+
+  /**
+   * Convert input strings to the rule's type (numbers, booleans, dates)
+   * Values that cannot be converted are returned unchanged, so the type
+   * check reports them.
+   */
+  function coerceValue(rule, value) {
+    if (!rule || rule.coerce === false || typeof value !== 'string') return value;
+
+    switch (rule.type) {
+      case 'number': {
+        if (value.trim() === '') return null;
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+      }
+      case 'boolean': {
+        const normalized = value.trim().toLowerCase();
+        if (['true', 'on', 'yes', '1'].includes(normalized)) return true;
+        if (['false', 'off', 'no', '0', ''].includes(normalized)) return false;
+        return value;
+      }
+      case 'date': {
+        if (value.trim() === '') return null;
+        return toDate(value) || value;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Coerce a single field value according to the schema
+   */
+  function coerceField(schema, path, value) {
+    return coerceValue(ruleAt(schema, path), value);
+  }
+
+  /**
+   * Return a coerced copy of all values covered by the schema
+   */
+  function coerce(schema, values) {
+    const walk = (shape, source) => {
+      if (!isPlainObject(source)) return source;
+      const result = Object.assign({}, source);
+      fieldsOf(shape).forEach(key => {
+        if (key in result) result[key] = walkRule(shape[key], result[key]);
+      });
+      return result;
+    };
+
+    const walkRule = (rule, value) => {
+      const coerced = coerceValue(rule, value);
+      if (rule.shape) return walk(rule.shape, coerced);
+      if (rule.of && Array.isArray(coerced)) return coerced.map(item => walkRule(rule.of, item));
+      return coerced;
+    };
+
+    return walk(schema, values || {});
+  }
+
+  // ============================================================================
+  // VALIDATION
+  // ============================================================================
+
+  /**
+   * Check one value against one (already resolved) rule
+   * @returns {string|null} Error message or null
+   */
+  function checkRule(rule, rawValue, values) {
+    const value = coerceValue(rule, rawValue);
+    const type = rule.type;
+
+    const empty = isEmpty(value) ||
+      (type === 'array' && Array.isArray(value) && value.length === 0 && rule.required) ||
+      (type === 'boolean' && rule.required && value === false);
+
+    if (empty) {
+      return rule.required ? message(rule, 'required') : null;
+    }
+
+    // Type
+    if (type === 'string' && typeof value !== 'string') return message(rule, 'string');
+    if (type === 'number' && (typeof value !== 'number' || !isFinite(value))) return message(rule, 'number');
+    if (type === 'boolean' && typeof value !== 'boolean') return message(rule, 'boolean');
+    if (type === 'date' && !(value instanceof Date && !isNaN(value.getTime()))) return message(rule, 'date');
+    if (type === 'array' && !Array.isArray(value)) return message(rule, 'array');
+    if (type === 'object' && !isPlainObject(value)) return message(rule, 'object');
+
+    // Constraints
+    if (rule.integer && !Number.isInteger(value)) return message(rule, 'integer');
+
+    if (typeof value === 'string') {
+      if (rule.min != null && value.length < rule.min) return message(rule, 'minLength', rule.min);
+      if (rule.max != null && value.length > rule.max) return message(rule, 'maxLength', rule.max);
+      if (rule.email && !EMAIL_REGEX.test(value)) return message(rule, 'email');
+      if (rule.pattern && !rule.pattern.test(value)) return message(rule, 'pattern');
+    } else if (typeof value === 'number') {
+      if (rule.min != null && value < rule.min) return message(rule, 'min', rule.min);
+      if (rule.max != null && value > rule.max) return message(rule, 'max', rule.max);
+    } else if (Array.isArray(value)) {
+      if (rule.min != null && value.length < rule.min) return message(rule, 'minItems', rule.min);
+      if (rule.max != null && value.length > rule.max) return message(rule, 'maxItems', rule.max);
+    } else if (value instanceof Date) {
+      if (rule.min != null && value < toDate(rule.min)) return message(rule, 'minDate', rule.min);
+      if (rule.max != null && value > toDate(rule.max)) return message(rule, 'maxDate', rule.max);
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) return message(rule, 'oneOf');
+
+    if (typeof rule.validate === 'function') {
+      const error = rule.validate(value, values);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the schema's $refine entries that target `path`
+   * check(values) returns true when valid, false or an error message otherwise
+   */
+  function checkRefinements(schema, path, values) {
+    const refinements = schema[REFINE_KEY] || [];
+    for (const refinement of refinements) {
+      if (toPath(refinement.path) !== path) continue;
+      const result = refinement.check(values);
+      if (result === false) return refinement.message || 'Invalid value';
+      if (typeof result === 'string' && result) return result;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a single field
+   * @param {Object} schema
+   * @param {string} path - Field path ('address.city', 'items[0].qty')
+   * @param {Object} values - All form values
+   * @returns {string|null} Error message or null
+   */
+  function validateField(schema, path, values) {
+    path = toPath(path);
+    values = coerce(schema, values);
+    const rule = resolveRule(ruleAt(schema, path), values);
+    const error = rule ? checkRule(rule, getIn(values, path), values) : null;
+    return error || checkRefinements(schema, path, values);
+  }
+
+  /**
+   * Validate all values against a schema (pure, no side effects)
+   * @param {Object} schema
+   * @param {Object} values
+   * @returns {{ valid: boolean, errors: Object, values: Object }}
+   *   errors is a flat { path: message } map; values is the coerced copy
+   */
+  function validate(schema, values = {}) {
+    // Conditions, refinements and custom validators see coerced values
+    values = coerce(schema, values);
+    const errors = {};
+
+    const walk = (shape, source, base) => {
+      fieldsOf(shape).forEach(key => {
+        const path = joinPath(base, key);
+        const rule = resolveRule(shape[key], values);
+        const value = source == null ? undefined : source[key];
+        const error = checkRule(rule, value, values);
+
+        if (error) {
+          errors[path] = error;
+          return;
+        }
+
+        const coerced = coerceValue(rule, value);
+        if (rule.shape && isPlainObject(coerced)) {
+          walk(rule.shape, coerced, path);
+        } else if (rule.of && Array.isArray(coerced)) {
+          coerced.forEach((item, index) => {
+            const itemPath = joinPath(path, index);
+            const itemRule = resolveRule(rule.of, values);
+            const itemError = checkRule(itemRule, item, values);
+            if (itemError) {
+              errors[itemPath] = itemError;
+            } else if (itemRule.shape && isPlainObject(item)) {
+              walk(itemRule.shape, item, itemPath);
+            }
+          });
+        }
+      });
+    };
+
+    walk(schema, values, '');
+
+    (schema[REFINE_KEY] || []).forEach(refinement => {
+      const path = toPath(refinement.path);
+      if (errors[path]) return;
+      const error = checkRefinements({ [REFINE_KEY]: [refinement] }, path, values);
+      if (error) errors[path] = error;
+    });
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+      values
+    };
+  }
+
+  /**
+   * Pattern paths of every rule ('name', 'address.city', 'items.*.qty')
+   * plus every $refine target
+   */
+  function rulePaths(schema) {
+    const paths = [];
+    const walk = (shape, base) => {
+      fieldsOf(shape).forEach(key => {
+        const rule = shape[key];
+        const path = joinPath(base, key);
+        paths.push(path);
+        if (rule.shape) walk(rule.shape, path);
+        if (rule.of) {
+          paths.push(joinPath(path, '*'));
+          if (rule.of.shape) walk(rule.of.shape, joinPath(path, '*'));
+        }
+      });
+    };
+    walk(schema, '');
+    (schema[REFINE_KEY] || []).forEach(refinement => {
+      const path = toPath(refinement.path);
+      if (!paths.includes(path)) paths.push(path);
+    });
+    return paths;
+  }
+
+  /**
+   * Build a Forms validators map from a schema
+   * Keys are field patterns; each validator checks the concrete field it is
+   * called for (passed by Forms as context.field).
+   */
+  function toValidators(schema) {
+    const validators = {};
+    rulePaths(schema).forEach(pattern => {
+      validators[pattern] = (value, allValues, context = {}) => {
+        return validateField(schema, context.field || pattern, allValues);
+      };
+    });
+    return validators;
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  const FormSchema = {
+    validate,
+    validateField,
+    coerce,
+    coerceField,
+    toValidators,
+    messages: defaultMessages
+  };
+
+  global.FormSchema = FormSchema;
+
+  if (global.Forms) {
+    global.Forms.schema = FormSchema;
+    global.Forms.validate = validate;
+  }
+
+  global.ReactiveUtils.validateSchema = validate;
+
+  // Node.js/CommonJS - reuse the same schema server-side
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormSchema;
+  }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,236 @@
+/**
+ * 11_dh-reactive-form-wizard.js
+ *
+ * Multi-step forms for DOM Helpers Forms
+ * Only requires: 04_dh-reactive-form.js
+ *
+ * A wizard is a regular form (same values, errors, touched, submit) with a
+ * `currentStep` index, so autoSave persists progress like any other form.
+ *
+ *   const signup = Forms.wizard({
+ *     initialValues: { name: '', email: '', plan: '' },
+ *     steps: [
+ *       { fields: ['name', 'email'], validators: { name: Forms.v.required() } },
+ *       { fields: ['plan'], validators: { plan: Forms.v.required() } }
+ *     ],
+ *     onSubmit: (values) => api.signup(values)
+ *   });
+ *
+ *   signup.next();   // validates 'name' and 'email' only
+ *   signup.back();
+ *   signup.submit(); // validates every step
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.Forms || !global.Forms.create) {
+    console.error('[Forms Wizard] Forms not found. Load 04_dh-reactive-form.js first.');
+    return;
+  }
+
+  const { batch } = global.ReactiveUtils;
+  const { toPath } = global.ReactiveUtils.paths;
+  const Forms = global.Forms;
+  // Concrete paths of a field pattern ('items.*.qty' -> 'items.0.qty', ...)
+  const expandField = Forms.expandPath;
+
+  function isPromise(value) {
+    return !!value && typeof value.then === 'function';
+  }
+
+  // Matches a step field and everything nested under it:
+  // 'address' covers 'address.city', 'items.*' covers 'items.3.qty'
+  function fieldMatcher(field) {
+    const source = toPath(field)
+      .split('.')
+      .map(key => key === '*' ? '\\d+' : key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\.');
+    return new RegExp(`^${source}(\\.|$)`);
+  }
+
+  /**
+   * Create a multi-step form
+   * @param {Object} options - createForm options, plus:
+   *   steps: [{ fields: [...], validators: { field: fn } }]
+   *   initialValues: initial form values
+   * @returns {Object} Reactive form with step state and navigation
+   */
+  function createWizard(options = {}) {
+    const steps = (options.steps || []).map(step => ({
+      ...step,
+      fields: (step.fields || []).map(toPath),
+      matchers: (step.fields || []).map(fieldMatcher)
+    }));
+
+    if (steps.length === 0) {
+      console.warn('[Forms Wizard] No steps defined');
+    }
+
+    // Every step's validators plus the shared ones, keyed by path
+    const validators = {};
+    const addValidator = (field, validator) => {
+      const path = toPath(field);
+      validators[path] = validators[path]
+        ? Forms.validators.combine(validators[path], validator)
+        : validator;
+    };
+    steps.forEach(step => {
+      Object.entries(step.validators || {}).forEach(([field, validator]) => addValidator(field, validator));
+    });
+    Object.entries(options.validators || {}).forEach(([field, validator]) => addValidator(field, validator));
+
+    const formOptions = Object.assign({}, options, { validators });
+    delete formOptions.steps;
+    delete formOptions.initialValues;
+    const form = Forms.create(options.initialValues || {}, formOptions);
+
+    form.currentStep = 0;
+    form.stepCount = steps.length;
+
+    const lastIndex = () => Math.max(steps.length - 1, 0);
+    const clamp = index => Math.min(Math.max(Number(index) || 0, 0), lastIndex());
+
+    const inStep = (index, path) => {
+      const step = steps[index];
+      return !!step && step.matchers.some(matcher => matcher.test(path));
+    };
+
+    // Concrete paths that belong to a step: its fields and validated paths
+    function stepFields(index) {
+      const step = steps[index];
+      if (!step) return [];
+      const paths = new Set();
+      step.fields.concat(Object.keys(validators)).forEach(pattern => {
+        expandField(pattern, form.values).forEach(path => {
+          if (inStep(index, path)) paths.add(path);
+        });
+      });
+      return Array.from(paths);
+    }
+
+    form.$computed('isFirstStep', function() {
+      return this.currentStep === 0;
+    });
+
+    form.$computed('isLastStep', function() {
+      return this.currentStep >= lastIndex();
+    });
+
+    // Current step has no errors and no pending checks. Only reads results:
+    // fields not validated yet pass, and next() validates the whole step.
+    form.$computed('canGoNext', function() {
+      const index = this.currentStep;
+      const hasErrors = Object.keys(this.errors).some(path => this.errors[path] && inStep(index, path));
+      const pending = Object.keys(this.validating).some(path => this.validating[path] && inStep(index, path));
+      return !hasErrors && !pending;
+    });
+
+    // Indexes of steps with at least one touched field
+    form.$computed('touchedSteps', function() {
+      const touched = Object.keys(this.touched).filter(path => this.touched[path]);
+      return steps.reduce((indexes, step, index) => {
+        if (touched.some(path => inStep(index, path))) indexes.push(index);
+        return indexes;
+      }, []);
+    });
+
+    const methods = {
+      // Concrete field paths of a step (current step by default)
+      stepFields(index = this.currentStep) {
+        return stepFields(index);
+      },
+
+      // Check if any field of a step was touched
+      isStepTouched(index = this.currentStep) {
+        return this.touchedSteps.includes(index);
+      },
+
+      // Mark the fields of a step as touched
+      touchStep(index = this.currentStep) {
+        return batch(() => {
+          stepFields(index).forEach(field => this.setTouched(field));
+          return this;
+        });
+      },
+
+      // Touch and validate the fields of a step only
+      // Returns a boolean, or a Promise<boolean> for async validators
+      validateStep(index = this.currentStep) {
+        return batch(() => {
+          this.touchStep(index);
+          const results = stepFields(index).map(field => this.validateField(field));
+          if (results.some(isPromise)) {
+            return Promise.all(results).then(all => all.every(Boolean));
+          }
+          return results.every(Boolean);
+        });
+      },
+
+      // Validate the current step and move forward when it passes
+      // Returns a boolean, or a Promise<boolean> for async validators
+      next() {
+        const from = this.currentStep;
+        const advance = (valid) => {
+          // Ignore results for a step the user already left
+          if (!valid || this.currentStep !== from || this.isLastStep) return false;
+          this.currentStep = from + 1;
+          return true;
+        };
+        const result = this.validateStep(from);
+        return isPromise(result) ? result.then(advance) : advance(result);
+      },
+
+      // Go to the previous step without validating
+      back() {
+        if (this.isFirstStep) return false;
+        this.currentStep--;
+        return true;
+      },
+
+      // Jump to a step (e.g. from a step list or when restoring progress)
+      goTo(index) {
+        this.currentStep = clamp(index);
+        return this;
+      }
+    };
+
+    Object.keys(methods).forEach(key => {
+      form[key] = methods[key].bind(form);
+    });
+
+    // Final submit validates every step; on failure show the first step with errors
+    const submit = form.submit;
+    form.submit = async function(customHandler) {
+      const result = await submit(customHandler);
+      if (result && result.errors) {
+        const first = steps.findIndex((step, index) => {
+          return Object.keys(form.errors).some(path => form.errors[path] && inStep(index, path));
+        });
+        if (first !== -1) form.currentStep = first;
+      }
+      return result;
+    };
+
+    const reset = form.reset;
+    form.reset = function(newValues) {
+      return batch(() => {
+        form.currentStep = 0;
+        return reset(newValues);
+      });
+    };
+
+    return form;
+  }
+
+  Forms.wizard = createWizard;
+  Forms.createWizard = createWizard;
+
+  if (global.ReactiveUtils) {
+    global.ReactiveUtils.wizard = createWizard;
+  }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,338 @@
+/**
+ * 12_dh-reactive-history.js
+ *
+ * Undo/redo history for DOM Helpers Reactive State
+ * Only requires: 01_dh-reactive.js
+ *
+ *   const editor = ReactiveUtils.state({ doc: { title: '', blocks: [] }, cursor: 0 });
+ *   const history = ReactiveUtils.history(editor, { exclude: ['cursor'] });
+ *
+ *   editor.doc.title = 'Draft';
+ *   ReactiveUtils.batch(() => {        // one history entry
+ *     editor.doc.blocks.push({ text: 'Hello' });
+ *     editor.doc.title = 'Hello';
+ *   });
+ *
+ *   history.undo();
+ *   history.canRedo; // true (reactive)
+ *
+ * Every mutation outside a batch is one entry; a batch is one entry.
+ * Entries are patches ({ path, from, to }) computed from plain snapshots,
+ * so nested objects and arrays are covered.
+ *
+ * Cost: each recorded change reads the whole recorded subtree and, without
+ * `debounce`, copies and diffs it - O(size of the recorded state) per
+ * mutation. For large states, record only what can be undone with `paths`
+ * (e.g. ['doc']) and use `debounce` for typing: while debounced, changes
+ * are only tracked, and the copy is taken once when the entry is recorded.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.ReactiveUtils) {
+    console.error('[History] ReactiveUtils not found. Load 01_dh-reactive.js first.');
+    return;
+  }
+
+  const { state: createState, effect, batch, untrack, toRaw } = global.ReactiveUtils;
+  const { toKeys } = global.ReactiveUtils.paths;
+
+  // ============================================================================
+  // SNAPSHOTS AND PATCHES
+  // ============================================================================
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+  }
+
+  // Computed properties are accessors and functions are behavior, not data
+  function isDataKey(target, key) {
+    const desc = Object.getOwnPropertyDescriptor(toRaw(target), key);
+    return !!desc && !desc.get && !desc.set && typeof desc.value !== 'function';
+  }
+
+  // Plain deep copy, read through the proxy so every value is tracked
+  function snapshot(value, keys, isExcluded) {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => snapshot(item, keys.concat(index), isExcluded));
+    }
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => {
+        const path = keys.concat(key);
+        if (isExcluded(path) || !isDataKey(value, key)) return;
+        copy[key] = snapshot(value[key], path, isExcluded);
+      });
+      return copy;
+    }
+    return value;
+  }
+
+  // Read every recorded value so the effect depends on it, without copying
+  function track(value, keys, isExcluded) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => track(item, keys.concat(index), isExcluded));
+    } else if (isPlainObject(value)) {
+      Object.keys(value).forEach(key => {
+        const path = keys.concat(key);
+        if (isExcluded(path) || !isDataKey(value, key)) return;
+        track(value[key], path, isExcluded);
+      });
+    }
+  }
+
+  function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = clone(value[key]); });
+      return copy;
+    }
+    return value;
+  }
+
+  function isSame(a, b) {
+    if (Object.is(a, b)) return true;
+    return isDate(a) && isDate(b) && a.getTime() === b.getTime();
+  }
+
+  // Patches that turn snapshot `a` into snapshot `b`
+  // Arrays of equal length are compared per index, otherwise replaced
+  function diff(a, b, keys, patches) {
+    if (isSame(a, b)) return patches;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      Object.keys(a).forEach(key => {
+        if (!(key in b)) patches.push({ path: keys.concat(key), from: a[key], removed: true });
+      });
+      Object.keys(b).forEach(key => {
+        if (!(key in a)) {
+          patches.push({ path: keys.concat(key), to: b[key], added: true });
+        } else {
+          diff(a[key], b[key], keys.concat(key), patches);
+        }
+      });
+      return patches;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+      a.forEach((item, index) => diff(item, b[index], keys.concat(index), patches));
+      return patches;
+    }
+
+    patches.push({ path: keys, from: a, to: b });
+    return patches;
+  }
+
+  // Write one side of a patch back into the reactive state
+  function applyPatch(state, patch, useFrom) {
+    const keys = patch.path;
+    const parent = keys.slice(0, -1).reduce((target, key) => target == null ? target : target[key], state);
+    if (parent == null) return;
+
+    const key = keys[keys.length - 1];
+    const remove = useFrom ? patch.added : patch.removed;
+    if (remove) {
+      delete parent[key];
+    } else {
+      parent[key] = clone(useFrom ? patch.from : patch.to);
+    }
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  /**
+   * Record undo/redo history for a reactive state
+   * @param {Object} state - Reactive state
+   * @param {Object} options
+   *   capacity: max undo entries (default 100)
+   *   debounce: ms to merge rapid changes (e.g. typing) into one entry
+   *   paths: only record these paths (['doc', 'settings.theme'])
+   *   exclude: keys not recorded; 'cursor' matches at any depth,
+   *            'doc.cursor' only that path
+   * @returns {Object} Reactive history: undo(), redo(), canUndo, canRedo, ...
+   */
+  function createHistory(state, options = {}) {
+    if (!global.ReactiveUtils.isReactive(state)) {
+      console.error('[History] history() requires a reactive state');
+      return null;
+    }
+
+    const { capacity = 100, debounce = 0 } = options;
+    const roots = (options.paths || ['']).map(toKeys);
+    const excluded = (options.exclude || []).map(String);
+
+    const isExcluded = (keys) => {
+      const path = keys.join('.');
+      const key = String(keys[keys.length - 1]);
+      return excluded.some(entry => entry === path || (entry.indexOf('.') === -1 && entry === key));
+    };
+
+    const rootValue = keys => keys.reduce((target, key) => target == null ? undefined : target[key], state);
+    const read = () => roots.map(keys => snapshot(rootValue(keys), keys, isExcluded));
+
+    const past = [];
+    const future = [];
+
+    const history = createState({
+      undoCount: 0,
+      redoCount: 0,
+      paused: false
+    });
+
+    history.$computed('canUndo', function() {
+      return this.undoCount > 0;
+    });
+
+    history.$computed('canRedo', function() {
+      return this.redoCount > 0;
+    });
+
+    const sync = () => {
+      history.undoCount = past.length;
+      history.redoCount = future.length;
+    };
+
+    let current = null;
+    let pendingBase = null;
+    let timer = null;
+    let applying = false;
+
+    function record(before, after) {
+      const patches = roots.reduce((all, keys, index) => diff(before[index], after[index], keys, all), []);
+      if (patches.length === 0) return;
+
+      past.push({ patches, timestamp: Date.now() });
+      if (past.length > capacity) past.splice(0, past.length - capacity);
+      future.length = 0;
+      sync();
+    }
+
+    // Record changes merged by `debounce` right away
+    function commit() {
+      if (!pendingBase) return;
+      clearTimeout(timer);
+      const base = pendingBase;
+      pendingBase = null;
+      current = untrack(read);
+      record(base, current);
+    }
+
+    // Sync flush: each mutation, or each outermost batch, runs this once
+    const stop = effect(() => {
+      if (current === null || applying || history.paused) {
+        current = read();
+        return;
+      }
+
+      if (debounce > 0) {
+        // Only track here; commit() takes the snapshot once
+        roots.forEach(keys => track(rootValue(keys), keys, isExcluded));
+        untrack(() => {
+          if (!pendingBase) pendingBase = current;
+          clearTimeout(timer);
+          timer = setTimeout(commit, debounce);
+        });
+        return;
+      }
+
+      const next = read();
+      untrack(() => {
+        const before = current;
+        current = next;
+        record(before, current);
+      });
+    });
+
+    function travel(from, to, useFrom) {
+      commit();
+      const entry = from.pop();
+      if (!entry) return false;
+
+      applying = true;
+      try {
+        batch(() => {
+          const patches = useFrom ? entry.patches.slice().reverse() : entry.patches;
+          patches.forEach(patch => applyPatch(state, patch, useFrom));
+        });
+      } finally {
+        applying = false;
+      }
+      // Inside an outer batch the effect runs after `applying` is reset;
+      // starting from the applied state, it then finds nothing to record
+      current = untrack(read);
+
+      to.push(entry);
+      sync();
+      return true;
+    }
+
+    const methods = {
+      // Revert the last entry; returns false when there is nothing to undo
+      undo() {
+        return travel(past, future, true);
+      },
+
+      // Re-apply the last undone entry
+      redo() {
+        return travel(future, past, false);
+      },
+
+      // Record pending debounced changes now
+      commit() {
+        commit();
+        return this;
+      },
+
+      // Stop recording (changes made while paused are never undone)
+      pause() {
+        commit();
+        this.paused = true;
+        return this;
+      },
+
+      resume() {
+        this.paused = false;
+        return this;
+      },
+
+      // Forget all entries
+      clear() {
+        clearTimeout(timer);
+        pendingBase = null;
+        past.length = 0;
+        future.length = 0;
+        sync();
+        return this;
+      },
+
+      // Stop tracking the state
+      stop() {
+        commit();
+        stop();
+        return this;
+      }
+    };
+
+    Object.keys(methods).forEach(key => {
+      history[key] = methods[key].bind(history);
+    });
+
+    return history;
+  }
+
+  global.ReactiveUtils.history = createHistory;
+  global.ReactiveUtils.createHistory = createHistory;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,233 @@
+/**
+ * 13_dh-reactive-template.js
+ *
+ * Template-driven rendering for DOM Helpers Reactive State
+ * Requires: 01_dh-reactive.js, 14_dh-reactive-expressions.js
+ *
+ * Markup lives in a <template>; hooks are expressions on a reactive scope
+ * object, evaluated by ReactiveExpressions like ReactiveUtils.mount():
+ *
+ *   <template id="row-tpl">
+ *     <li data-bind-attr="class: status; title: user.email">
+ *       <span data-bind="user.name"></span>
+ *       <em data-if="!user.active">inactive</em>
+ *       <button data-on="click: remove">x</button>
+ *     </li>
+ *   </template>
+ *
+ *   const row = ReactiveUtils.template('#row-tpl', scope);
+ *   list.appendChild(row);
+ *   row.dispose();
+ *
+ * data-bind:      text (value/checked for form controls)
+ * data-bind-attr: "attr: expression; ..." (false/null removes the attribute)
+ * data-on:        "event: method; ..." - called as method(event, scope);
+ *                 any other expression runs with $event and $scope
+ * data-if:        keeps the element in the DOM only while the expression is truthy
+ * A hook that yields a method calls it; "." is the scope itself.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.ReactiveUtils) {
+    console.error('[Template] ReactiveUtils not found. Load 01_dh-reactive.js first.');
+    return;
+  }
+
+  const { effect, effectScope, PRIORITY } = global.ReactiveUtils;
+
+  const HOOK_SELECTOR = '[data-bind], [data-bind-attr], [data-on], [data-if]';
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  // Same priority as bindings() and directives: DOM writes run after effects
+  function bindingEffect(fn) {
+    return effect(fn, { priority: PRIORITY.POST });
+  }
+
+  function compileHook(el, name, source) {
+    try {
+      return global.ReactiveExpressions.compile(source);
+    } catch (error) {
+      console.error(`[Template] Invalid ${name}="${source}":`, error.message, el);
+      return null;
+    }
+  }
+
+  // Reader for a hook expression; a path to a method calls it on its owner
+  function reader(el, name, source) {
+    if (source.trim() === '.') return (scope) => scope;
+
+    const getter = compileHook(el, name, source);
+    if (!getter) return () => undefined;
+    const call = getter.assignable ? compileHook(el, name, `(${source})()`) : null;
+
+    return (scope) => {
+      try {
+        const value = getter(scope);
+        return typeof value === 'function' && call ? call(scope) : value;
+      } catch (error) {
+        console.error(`[Template] Error in ${name}="${source}":`, error.message, el);
+        return undefined;
+      }
+    };
+  }
+
+  // "name: path; name: path" -> [[name, path], ...]
+  function parsePairs(source) {
+    return String(source)
+      .split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const colon = part.indexOf(':');
+        return colon === -1
+          ? [part, part]
+          : [part.slice(0, colon).trim(), part.slice(colon + 1).trim()];
+      });
+  }
+
+  function setText(el, value) {
+    const text = value == null ? '' : String(value);
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      el.checked = el.type === 'radio' ? String(value) === el.value : !!value;
+    } else if ('value' in el && /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)) {
+      if (el.value !== text) el.value = text;
+    } else if (el.textContent !== text) {
+      el.textContent = text;
+    }
+  }
+
+  function setAttr(el, name, value) {
+    if (value === false || value == null) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+
+  function findTemplate(source) {
+    const el = typeof source === 'string' ? document.querySelector(source) : source;
+    if (!el || !el.content) {
+      console.error('[Template] <template> not found:', source);
+      return null;
+    }
+    return el;
+  }
+
+  // ============================================================================
+  // BINDING
+  // ============================================================================
+
+  function bindElement(el, scope, cleanups) {
+    const bind = el.getAttribute('data-bind');
+    if (bind !== null) {
+      const read = reader(el, 'data-bind', bind);
+      bindingEffect(() => setText(el, read(scope)));
+    }
+
+    const attrs = el.getAttribute('data-bind-attr');
+    if (attrs !== null) {
+      parsePairs(attrs).forEach(([name, source]) => {
+        const read = reader(el, 'data-bind-attr', source);
+        bindingEffect(() => setAttr(el, name, read(scope)));
+      });
+    }
+
+    const events = el.getAttribute('data-on');
+    if (events !== null) {
+      parsePairs(events).forEach(([type, source]) => {
+        const getter = compileHook(el, 'data-on', source);
+        if (!getter) return;
+        // A method path is called as method(event, scope)
+        const run = getter.assignable ? compileHook(el, 'data-on', `(${source})($event, $scope)`) : getter;
+
+        const handler = (event) => {
+          const locals = { $event: event, $scope: scope };
+          try {
+            if (getter.assignable && typeof getter(scope, locals) !== 'function') {
+              console.warn(`[Template] data-on handler "${source}" is not a function`);
+              return;
+            }
+            run(scope, locals);
+          } catch (error) {
+            console.error(`[Template] Error in data-on="${source}":`, error.message, el);
+          }
+        };
+        el.addEventListener(type, handler);
+        cleanups.push(() => el.removeEventListener(type, handler));
+      });
+    }
+
+    const condition = el.getAttribute('data-if');
+    if (condition !== null) {
+      const read = reader(el, 'data-if', condition);
+      const placeholder = document.createComment(`data-if: ${condition}`);
+      el.parentNode.insertBefore(placeholder, el);
+      bindingEffect(() => {
+        const show = !!read(scope);
+        if (show && !el.parentNode) {
+          placeholder.parentNode.insertBefore(el, placeholder.nextSibling);
+        } else if (!show && el.parentNode) {
+          el.remove();
+        }
+      });
+      cleanups.push(() => placeholder.remove());
+    }
+  }
+
+  /**
+   * Clone a <template> and bind its hooks to a reactive scope
+   * @param {HTMLTemplateElement|string} source - Template element or selector
+   * @param {Object} [scope] - Reactive state (or any object) hooks read from
+   * @returns {DocumentFragment|Function} Fragment with `nodes` and dispose();
+   *   without a scope, a reusable (scope) => fragment function
+   */
+  function template(source, scope) {
+    if (!global.ReactiveExpressions) {
+      console.error('[Template] ReactiveExpressions not found. Load 14_dh-reactive-expressions.js first.');
+      return null;
+    }
+
+    const tpl = findTemplate(source);
+    if (!tpl) return null;
+
+    if (arguments.length < 2) {
+      return (rowScope) => template(tpl, rowScope);
+    }
+
+    const fragment = tpl.content.cloneNode(true);
+    const nodes = Array.from(fragment.childNodes);
+    const cleanups = [];
+    const scopeEffects = effectScope();
+
+    scopeEffects.run(() => {
+      // Collect every hook before binding: data-if may detach elements
+      const hooked = Array.from(fragment.querySelectorAll(HOOK_SELECTOR));
+      hooked.forEach(el => bindElement(el, scope, cleanups));
+    });
+
+    fragment.nodes = nodes;
+
+    // Stop effects and listeners, and take the rendered nodes out of the DOM
+    fragment.dispose = () => {
+      scopeEffects.stop();
+      cleanups.forEach(cleanup => cleanup());
+      cleanups.length = 0;
+      nodes.forEach(node => {
+        if (node.parentNode && node.parentNode !== fragment) node.parentNode.removeChild(node);
+      });
+    };
+
+    return fragment;
+  }
+
+  global.ReactiveUtils.template = template;
+
+})(typeof window !== 'undefined' ? window : global);
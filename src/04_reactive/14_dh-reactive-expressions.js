@@ -0,0 +1,679 @@
+/**
+ * 14_dh-reactive-expressions.js
+ *
+ * Safe expression language for DOM Helpers bindings
+ * Standalone - no dependencies. Expressions are parsed once, cached, and
+ * evaluated by walking the syntax tree: no eval() or Function().
+ *
+ *   const total = ReactiveExpressions.compile('price * qty + (vip ? 0 : shipping)');
+ *   total(state);                            // evaluate against a scope
+ *   ReactiveExpressions.evaluate('user.name', state);
+ *   ReactiveExpressions.evaluate('count += 1', state); // assignments write to the scope
+ *
+ * Supported: numbers, strings, true/false/null/undefined, array literals,
+ * identifiers, member access (a.b, a[b]), calls, unary ! - + typeof,
+ * arithmetic, comparison, && || ??, ternary, assignment (= += -= *= /=),
+ * ++/--, and ';' sequences.
+ *
+ * Identifiers resolve from the local scopes first, then the scope object;
+ * nothing resolves to globals or to Object.prototype members (toString,
+ * hasOwnProperty, ...). __proto__, constructor, prototype and the
+ * __define/__lookup getter/setter methods are never accessible.
+ * Assignments write only to the scope, the locals and plain objects or
+ * arrays reached from them - never to functions or class instances.
+ *
+ * Predicates test one subject value (condition keys, filters):
+ *
+ *   const inRange = ReactiveExpressions.predicate('>=10 && <100');
+ *   inRange(42);                                         // true
+ *   ReactiveExpressions.matches('!empty', []);           // false
+ *   ReactiveExpressions.matches('in:draft,review', 'review');
+ *   ReactiveExpressions.matches('length>3', 'abcd');     // subject properties
+ *   ReactiveExpressions.matches('user.role === "admin"', session);
+ *
+ * On top of the expression syntax, a predicate operand may be a leading
+ * comparison (>=10, !== 'x'), `empty`, `in:a,b,c`, `includes:x`,
+ * `startsWith:x`, `endsWith:x` or a /regex/flags; `$value` is the subject.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  const BLOCKED = new Set([
+    '__proto__', 'constructor', 'prototype',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+  ]);
+
+  const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  const LITERALS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined: undefined
+  };
+
+  // Longest first so '===' wins over '==' and '='
+  const PUNCTUATORS = [
+    '===', '!==',
+    '==', '!=', '<=', '>=', '&&', '||', '??', '++', '--', '+=', '-=', '*=', '/=',
+    '<', '>', '+', '-', '*', '/', '%', '!', '=', '(', ')', '[', ']', '.', ',', '?', ':', ';'
+  ];
+
+  const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '==': 4, '!=': 4, '===': 4, '!==': 4,
+    '<': 5, '>': 5, '<=': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7
+  };
+
+  const ASSIGN_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=']);
+
+  // Operators that compare against the subject when they start an operand
+  const SUBJECT_OPERATORS = new Set(['===', '!==', '==', '!=', '<=', '>=', '<', '>']);
+
+  // 'in:a,b' and friends: the rest of the operand is raw text
+  const PATTERN_PREFIX = /^(in|includes|startsWith|endsWith):/;
+
+  function ExpressionError(message, source) {
+    const error = new Error(`[Expressions] ${message}${source !== undefined ? ` in "${source}"` : ''}`);
+    error.name = 'ExpressionError';
+    return error;
+  }
+
+  // ============================================================================
+  // TOKENIZER
+  // ============================================================================
+
+  function unquote(text) {
+    const value = text.trim();
+    return /^(['"]).*\1$/.test(value) ? value.slice(1, -1) : value;
+  }
+
+  // A '/' after a value is division, anywhere else it starts a regex
+  function startsOperand(tokens) {
+    const last = tokens[tokens.length - 1];
+    return !last || (last.type === 'punct' && last.value !== ')' && last.value !== ']');
+  }
+
+  function tokenize(source, subject) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const ch = source[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      // Numbers: 10, 2.5, .5
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+        const match = /^(\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: Number(match[1]), pos: i });
+        i += match[1].length;
+        continue;
+      }
+
+      // Strings with the usual escapes
+      if (ch === '"' || ch === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== ch) {
+          if (source[j] === '\\' && j + 1 < source.length) {
+            const next = source[j + 1];
+            value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            j += 2;
+          } else {
+            value += source[j++];
+          }
+        }
+        if (j >= source.length) throw ExpressionError('Unterminated string', source);
+        tokens.push({ type: 'string', value, pos: i });
+        i = j + 1;
+        continue;
+      }
+
+      if (subject && /[A-Za-z]/.test(ch) && startsOperand(tokens)) {
+        const prefix = PATTERN_PREFIX.exec(source.slice(i));
+        if (prefix) {
+          // Raw text up to the next && || ) or the end
+          const rest = /^[^&|)]*/.exec(source.slice(i + prefix[0].length))[0];
+          const values = prefix[1] === 'in' ? rest.split(',').map(unquote) : [unquote(rest)];
+          tokens.push({ type: 'pattern', kind: prefix[1], value: values, pos: i });
+          i += prefix[0].length + rest.length;
+          continue;
+        }
+      }
+
+      if (subject && ch === '/' && startsOperand(tokens)) {
+        const match = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(source.slice(i));
+        if (!match) throw ExpressionError('Unterminated regex', source);
+        let regex;
+        try {
+          regex = new RegExp(match[1], match[2]);
+        } catch (error) {
+          throw ExpressionError(`Invalid regex ${match[0]}`, source);
+        }
+        tokens.push({ type: 'regex', value: regex, pos: i });
+        i += match[0].length;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(ch)) {
+        const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+        tokens.push({ type: 'name', value: match[0], pos: i });
+        i += match[0].length;
+        continue;
+      }
+
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+      if (!punctuator) throw ExpressionError(`Unexpected character "${ch}"`, source);
+      tokens.push({ type: 'punct', value: punctuator, pos: i });
+      i += punctuator.length;
+    }
+
+    tokens.push({ type: 'end', value: null, pos: source.length });
+    return tokens;
+  }
+
+  // ============================================================================
+  // PARSER (precedence climbing)
+  // ============================================================================
+
+  function parse(source, subject) {
+    const tokens = tokenize(String(source), subject);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const is = (value) => peek().type === 'punct' && peek().value === value;
+    const expect = (value) => {
+      if (!is(value)) {
+        const token = peek();
+        throw ExpressionError(`Expected "${value}" but found ${token.type === 'end' ? 'end' : `"${token.value}"`}`, source);
+      }
+      return next();
+    };
+
+    function parseSequence() {
+      const expressions = [parseAssignment()];
+      while (is(';')) {
+        next();
+        if (peek().type === 'end') break;
+        expressions.push(parseAssignment());
+      }
+      return expressions.length === 1 ? expressions[0] : { type: 'Sequence', expressions };
+    }
+
+    function parseAssignment() {
+      const target = parseConditional();
+      if (peek().type === 'punct' && ASSIGN_OPERATORS.has(peek().value)) {
+        const operator = next().value;
+        assertAssignable(target);
+        return { type: 'Assign', operator, target, value: parseAssignment() };
+      }
+      return target;
+    }
+
+    function parseConditional() {
+      const test = parseBinary(0);
+      if (!is('?')) return test;
+      next();
+      const consequent = parseAssignment();
+      expect(':');
+      const alternate = parseAssignment();
+      return { type: 'Conditional', test, consequent, alternate };
+    }
+
+    function parseBinary(minPrecedence) {
+      let left = parseUnary();
+      for (;;) {
+        const token = peek();
+        const precedence = token.type === 'punct' ? BINARY_PRECEDENCE[token.value] : undefined;
+        if (precedence === undefined || precedence <= minPrecedence) return left;
+        next();
+        const right = parseBinary(precedence);
+        const type = token.value === '&&' || token.value === '||' || token.value === '??' ? 'Logical' : 'Binary';
+        left = { type, operator: token.value, left, right };
+      }
+    }
+
+    function parseUnary() {
+      const token = peek();
+      if (subject && token.type === 'punct' && SUBJECT_OPERATORS.has(token.value)) {
+        next();
+        const right = parseBinary(BINARY_PRECEDENCE[token.value]);
+        return { type: 'Binary', operator: token.value, left: { type: 'Subject' }, right };
+      }
+      if (token.type === 'punct' && (token.value === '!' || token.value === '-' || token.value === '+')) {
+        next();
+        return { type: 'Unary', operator: token.value, argument: parseUnary() };
+      }
+      if (token.type === 'name' && token.value === 'typeof') {
+        next();
+        return { type: 'Unary', operator: 'typeof', argument: parseUnary() };
+      }
+      if (token.type === 'punct' && (token.value === '++' || token.value === '--')) {
+        next();
+        const target = parseUnary();
+        assertAssignable(target);
+        return { type: 'Update', operator: token.value, prefix: true, target };
+      }
+      return parsePostfix();
+    }
+
+    function parsePostfix() {
+      let node = parseCallOrMember(parsePrimary());
+      if (is('++') || is('--')) {
+        assertAssignable(node);
+        node = { type: 'Update', operator: next().value, prefix: false, target: node };
+      }
+      return node;
+    }
+
+    function parseCallOrMember(node) {
+      for (;;) {
+        if (is('.')) {
+          next();
+          const name = next();
+          if (name.type !== 'name') throw ExpressionError('Expected property name after "."', source);
+          node = { type: 'Member', object: node, property: checkKey(name.value), computed: false };
+        } else if (is('[')) {
+          next();
+          const property = parseAssignment();
+          expect(']');
+          node = { type: 'Member', object: node, property, computed: true };
+        } else if (is('(')) {
+          next();
+          const args = [];
+          if (!is(')')) {
+            do {
+              args.push(parseAssignment());
+            } while (is(',') && next());
+          }
+          expect(')');
+          node = { type: 'Call', callee: node, args };
+        } else {
+          return node;
+        }
+      }
+    }
+
+    function parsePrimary() {
+      const token = next();
+
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'Literal', value: token.value };
+      }
+
+      if (token.type === 'pattern') {
+        return { type: 'Pattern', kind: token.kind, values: token.value };
+      }
+
+      if (token.type === 'regex') {
+        return { type: 'Regex', regex: token.value };
+      }
+
+      if (subject && token.type === 'name' && token.value === 'empty') {
+        return { type: 'Empty' };
+      }
+
+      if (token.type === 'name') {
+        if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+          return { type: 'Literal', value: LITERALS[token.value] };
+        }
+        return { type: 'Identifier', name: checkKey(token.value) };
+      }
+
+      if (token.type === 'punct' && token.value === '(') {
+        const node = parseAssignment();
+        expect(')');
+        return node;
+      }
+
+      if (token.type === 'punct' && token.value === '[') {
+        const elements = [];
+        if (!is(']')) {
+          do {
+            elements.push(parseAssignment());
+          } while (is(',') && next());
+        }
+        expect(']');
+        return { type: 'Array', elements };
+      }
+
+      throw ExpressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, source);
+    }
+
+    function assertAssignable(node) {
+      if (node.type !== 'Identifier' && node.type !== 'Member') {
+        throw ExpressionError('Invalid assignment target', source);
+      }
+    }
+
+    function checkKey(key) {
+      if (BLOCKED.has(key)) throw ExpressionError(`Access to "${key}" is not allowed`, source);
+      return key;
+    }
+
+    const ast = parseSequence();
+    if (peek().type !== 'end') {
+      throw ExpressionError(`Unexpected "${peek().value}"`, source);
+    }
+    return ast;
+  }
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return !value;
+  }
+
+  function matchPattern(kind, values, subject) {
+    const text = String(subject);
+    switch (kind) {
+      case 'in': return values.includes(text);
+      case 'includes': return text.includes(values[0]);
+      case 'startsWith': return text.startsWith(values[0]);
+      case 'endsWith': return text.endsWith(values[0]);
+    }
+    return false;
+  }
+
+  // A name is bound on an object when it is an own property (reactive
+  // state, locals, methods added to the state) or inherited from anything
+  // but Object.prototype (class methods, String.prototype for subjects)
+  function hasBinding(object, name) {
+    if (object == null) return false;
+    const target = Object(object);
+    if (hasOwn(target, name)) return true;
+    return name in target && !(name in Object.prototype);
+  }
+
+  // Scope lookup: local scopes first (innermost first), then the scope
+  // object; null when the name is not bound anywhere
+  function owner(name, context) {
+    for (const locals of context.locals) {
+      if (locals && typeof locals === 'object' && hasBinding(locals, name)) return locals;
+    }
+    return hasBinding(context.scope, name) ? context.scope : null;
+  }
+
+  // Property read that never exposes Object.prototype members
+  function readMember(object, key) {
+    if (object == null) return undefined;
+    if (!hasBinding(object, key) && key in Object.prototype) return undefined;
+    return object[key];
+  }
+
+  function propertyKey(node, context) {
+    if (!node.computed) return node.property;
+    const key = evaluateNode(node.property, context);
+    if (BLOCKED.has(String(key))) throw ExpressionError(`Access to "${key}" is not allowed`);
+    return key;
+  }
+
+  // Plain objects and arrays (reactive or not, from any realm); rejects
+  // functions, class instances and the shared prototypes themselves
+  function isPlainData(object) {
+    if (object === null || typeof object !== 'object' || hasOwn(object, '__proto__')) return false;
+    const proto = Object.getPrototypeOf(object);
+    if (Array.isArray(object)) return Array.isArray(proto);
+    return proto === null || Object.getPrototypeOf(proto) === null;
+  }
+
+  // Object and key an assignable node refers to
+  function reference(node, context) {
+    if (node.type === 'Identifier') {
+      // Unbound names are created on the scope
+      const object = owner(node.name, context) || context.scope;
+      if (object == null) throw ExpressionError(`Cannot assign to "${node.name}"`);
+      return { object, key: node.name };
+    }
+    const object = evaluateNode(node.object, context);
+    if (object == null) throw ExpressionError('Cannot assign to a property of ' + object);
+    if (object !== context.scope && !context.locals.includes(object) && !isPlainData(object)) {
+      throw ExpressionError(`Cannot assign to a property of ${describe(node.object)}`);
+    }
+    return { object, key: propertyKey(node, context) };
+  }
+
+  function binary(operator, left, right) {
+    switch (operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '===': return left === right;
+      case '!==': return left !== right;
+    }
+    throw ExpressionError(`Unknown operator "${operator}"`);
+  }
+
+  function evaluateNode(node, context) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'Subject':
+        return context.subject;
+
+      case 'Empty':
+        return isEmpty(context.subject);
+
+      case 'Pattern':
+        return matchPattern(node.kind, node.values, context.subject);
+
+      case 'Regex':
+        node.regex.lastIndex = 0;
+        return node.regex.test(String(context.subject));
+
+      case 'Identifier': {
+        const target = owner(node.name, context);
+        return target == null ? undefined : target[node.name];
+      }
+
+      case 'Member': {
+        const object = evaluateNode(node.object, context);
+        if (object == null) return undefined;
+        return readMember(object, propertyKey(node, context));
+      }
+
+      case 'Call': {
+        let fn;
+        let thisArg;
+        if (node.callee.type === 'Member') {
+          thisArg = evaluateNode(node.callee.object, context);
+          fn = readMember(thisArg, propertyKey(node.callee, context));
+        } else {
+          fn = evaluateNode(node.callee, context);
+          thisArg = node.callee.type === 'Identifier' ? owner(node.callee.name, context) || undefined : undefined;
+        }
+        if (typeof fn !== 'function') {
+          throw ExpressionError(`${describe(node.callee)} is not a function`);
+        }
+        return fn.apply(thisArg, node.args.map(arg => evaluateNode(arg, context)));
+      }
+
+      case 'Unary': {
+        const value = evaluateNode(node.argument, context);
+        switch (node.operator) {
+          case '!': return !value;
+          case '-': return -value;
+          case '+': return +value;
+          case 'typeof': return typeof value;
+        }
+        break;
+      }
+
+      case 'Binary':
+        return binary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+
+      case 'Logical': {
+        const left = evaluateNode(node.left, context);
+        if (node.operator === '&&') return left ? evaluateNode(node.right, context) : left;
+        if (node.operator === '||') return left ? left : evaluateNode(node.right, context);
+        return left != null ? left : evaluateNode(node.right, context);
+      }
+
+      case 'Conditional':
+        return evaluateNode(node.test, context)
+          ? evaluateNode(node.consequent, context)
+          : evaluateNode(node.alternate, context);
+
+      case 'Array':
+        return node.elements.map(element => evaluateNode(element, context));
+
+      case 'Assign': {
+        const ref = reference(node.target, context);
+        const value = evaluateNode(node.value, context);
+        ref.object[ref.key] = node.operator === '='
+          ? value
+          : binary(node.operator[0], ref.object[ref.key], value);
+        return ref.object[ref.key];
+      }
+
+      case 'Update': {
+        const ref = reference(node.target, context);
+        const old = Number(ref.object[ref.key]);
+        ref.object[ref.key] = node.operator === '++' ? old + 1 : old - 1;
+        return node.prefix ? ref.object[ref.key] : old;
+      }
+
+      case 'Sequence': {
+        let result;
+        node.expressions.forEach(expression => { result = evaluateNode(expression, context); });
+        return result;
+      }
+    }
+    throw ExpressionError(`Unknown node "${node.type}"`);
+  }
+
+  function describe(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'Member' && !node.computed) return `${describe(node.object)}.${node.property}`;
+    return 'Expression';
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  const cache = new Map();
+  const predicateCache = new Map();
+
+  function parseCached(source, subject) {
+    const key = String(source);
+    const store = subject ? predicateCache : cache;
+    let ast = store.get(key);
+    if (!ast) {
+      ast = parse(key, subject);
+      store.set(key, ast);
+    }
+    return ast;
+  }
+
+  function toLocals(locals) {
+    if (!locals) return [];
+    return Array.isArray(locals) ? locals : [locals];
+  }
+
+  /**
+   * Compile an expression into a function
+   * @param {string} source
+   * @returns {Function} (scope, locals?) => value; locals is an object or
+   *   an array of objects searched before the scope. `.assign(scope, value,
+   *   locals?)` is available when the expression is assignable.
+   */
+  function compile(source) {
+    const ast = parseCached(source);
+    const run = (scope, locals) => evaluateNode(ast, { scope, locals: toLocals(locals) });
+
+    run.source = String(source);
+    run.assignable = ast.type === 'Identifier' || ast.type === 'Member';
+    run.assign = (scope, value, locals) => {
+      if (!run.assignable) throw ExpressionError('Expression is not assignable', source);
+      const ref = reference(ast, { scope, locals: toLocals(locals) });
+      ref.object[ref.key] = value;
+      return value;
+    };
+    return run;
+  }
+
+  /**
+   * Evaluate an expression once
+   * @param {string} source
+   * @param {Object} scope
+   * @param {Object|Array} [locals]
+   */
+  function evaluate(source, scope, locals) {
+    return compile(source)(scope, locals);
+  }
+
+  /**
+   * Compile a predicate that tests a subject value
+   * @param {string} source - e.g. '>=10 && <100', '!empty', 'in:draft,review'
+   * @returns {Function} (subject, locals?) => boolean; identifiers resolve
+   *   against the subject, `$value` is the subject itself
+   */
+  function predicate(source) {
+    const ast = parseCached(source, true);
+    const test = (subject, locals) => !!evaluateNode(ast, {
+      scope: subject,
+      subject,
+      locals: toLocals(locals).concat({ $value: subject })
+    });
+
+    test.source = String(source);
+    return test;
+  }
+
+  /**
+   * Test a subject against a predicate once
+   * @param {string} source
+   * @param {*} subject
+   * @param {Object|Array} [locals]
+   */
+  function matches(source, subject, locals) {
+    return predicate(source)(subject, locals);
+  }
+
+  const ReactiveExpressions = {
+    parse: (source) => parseCached(source, false),
+    compile,
+    evaluate,
+    predicate,
+    matches,
+    clearCache: () => {
+      cache.clear();
+      predicateCache.clear();
+    }
+  };
+
+  global.ReactiveExpressions = ReactiveExpressions;
+
+  if (global.ReactiveUtils) {
+    global.ReactiveUtils.expression = compile;
+  }
+
+})(typeof window !== 'undefined' ? window : global);
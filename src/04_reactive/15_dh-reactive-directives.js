@@ -0,0 +1,337 @@
+/**
+ * 15_dh-reactive-directives.js
+ *
+ * Declarative data-* directives for DOM Helpers Reactive State
+ * Requires: 01_dh-reactive.js, 14_dh-reactive-expressions.js
+ * data-each also requires 03_dh-reactive-collections.js (keyed list rendering)
+ *
+ *   <div id="app">
+ *     <h1 data-text="title"></h1>
+ *     <p data-show="items.length === 0">Nothing yet</p>
+ *     <input data-model="draft" data-on-keydown="$event.key === 'Enter' && add()">
+ *     <ul>
+ *       <li data-each="item in items" data-key="item.id"
+ *           data-class-done="item.done" data-attr-title="item.note">
+ *         <span data-text="item.text"></span>
+ *         <button data-on-click="remove(item)">x</button>
+ *       </li>
+ *     </ul>
+ *   </div>
+ *
+ *   const app = ReactiveUtils.mount('#app', state);
+ *   app.unmount(); // or ReactiveUtils.unmount('#app')
+ *
+ * Directives: data-text, data-html, data-show, data-class-<name>,
+ * data-attr-<name>, data-model, data-on-<event>, data-each (+ data-key).
+ * Values are safe expressions (see ReactiveExpressions); event handlers can
+ * use $event, and a handler expression that yields a function is called
+ * with the event.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+(function(global) {
+  'use strict';
+
+  if (!global.ReactiveUtils) {
+    console.error('[Directives] ReactiveUtils not found. Load 01_dh-reactive.js first.');
+    return;
+  }
+
+  if (!global.ReactiveExpressions) {
+    console.error('[Directives] ReactiveExpressions not found. Load 14_dh-reactive-expressions.js first.');
+    return;
+  }
+
+  const ReactiveUtils = global.ReactiveUtils;
+  const { effect, effectScope, state: createState, batch, applyValue, PRIORITY } = ReactiveUtils;
+  const { compile } = global.ReactiveExpressions;
+
+  const mounted = new WeakMap();
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  // Same priority as bindings(): DOM writes run after effects and watchers
+  function bindingEffect(fn) {
+    return effect(fn, { priority: PRIORITY.POST });
+  }
+
+  function compileDirective(el, name, source) {
+    try {
+      return compile(source);
+    } catch (error) {
+      console.error(`[Directives] Invalid ${name}="${source}":`, error.message, el);
+      return null;
+    }
+  }
+
+  // Run a compiled expression, reporting instead of throwing
+  function run(fn, scope, locals, el) {
+    try {
+      return fn(scope, locals);
+    } catch (error) {
+      console.error(`[Directives] Error in "${fn.source}":`, error.message, el);
+      return undefined;
+    }
+  }
+
+  function setAttribute(el, name, value) {
+    if (typeof el[name] === 'boolean') {
+      el[name] = !!value;
+    } else if (value === false || value == null) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+
+  // ============================================================================
+  // data-model
+  // ============================================================================
+
+  function readControl(el, current) {
+    if (el.type === 'checkbox') {
+      if (Array.isArray(current)) {
+        const values = current.filter(value => String(value) !== el.value);
+        return el.checked ? values.concat(el.value) : values;
+      }
+      return el.checked;
+    }
+    if (el.type === 'number' || el.type === 'range') {
+      return el.value === '' ? null : Number(el.value);
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+      return Array.from(el.options).filter(option => option.selected).map(option => option.value);
+    }
+    if (el.isContentEditable || (el.hasAttribute('contenteditable') && el.getAttribute('contenteditable') !== 'false')) {
+      return el.textContent;
+    }
+    return el.value;
+  }
+
+  function writeControl(el, value) {
+    if (el.type === 'checkbox') {
+      el.checked = Array.isArray(value) ? value.map(String).includes(el.value) : !!value;
+    } else if (el.type === 'radio') {
+      el.checked = value != null && String(value) === el.value;
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+      const selected = (Array.isArray(value) ? value : []).map(String);
+      Array.from(el.options).forEach(option => { option.selected = selected.includes(option.value); });
+    } else if (!('value' in el) || el.isContentEditable || el.hasAttribute('contenteditable')) {
+      const text = value == null ? '' : String(value);
+      if (el.textContent !== text) el.textContent = text;
+    } else {
+      const text = value == null ? '' : String(value);
+      if (el.value !== text) el.value = text;
+    }
+  }
+
+  function bindModel(el, source, context) {
+    const getter = compileDirective(el, 'data-model', source);
+    if (!getter) return;
+    if (!getter.assignable) {
+      console.error(`[Directives] data-model="${source}" must be a property path`, el);
+      return;
+    }
+
+    bindingEffect(() => writeControl(el, run(getter, context.state, context.locals, el)));
+
+    const type = /^(checkbox|radio|file)$/.test(el.type) || el.tagName === 'SELECT' ? 'change' : 'input';
+    const listener = () => {
+      const value = readControl(el, getter(context.state, context.locals));
+      if (el.type === 'radio' && !el.checked) return;
+      getter.assign(context.state, value, context.locals);
+    };
+    el.addEventListener(type, listener);
+    context.cleanups.push(() => el.removeEventListener(type, listener));
+  }
+
+  // ============================================================================
+  // data-each
+  // ============================================================================
+
+  // "item in items", "(item, index) in items"
+  function parseEach(source) {
+    const match = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?\)|([\w$]+))\s+(?:in|of)\s+([\s\S]+)$/.exec(source);
+    if (!match) return null;
+    return {
+      item: match[1] || match[3],
+      index: match[2] || '$index',
+      list: match[4].trim()
+    };
+  }
+
+  function bindEach(el, source, context) {
+    const each = parseEach(source);
+    if (!each) {
+      console.error(`[Directives] Invalid data-each="${source}", expected "item in items"`, el);
+      return;
+    }
+    if (typeof ReactiveUtils.renderList !== 'function') {
+      console.error('[Directives] data-each requires 03_dh-reactive-collections.js');
+      return;
+    }
+
+    const listFn = compileDirective(el, 'data-each', each.list);
+    const keySource = el.getAttribute('data-key');
+    const keyFn = keySource ? compileDirective(el, 'data-key', keySource) : null;
+    if (!listFn) return;
+
+    // The element becomes the row template; rows render where it was
+    const template = el.cloneNode(true);
+    template.removeAttribute('data-each');
+    template.removeAttribute('data-key');
+    const anchor = document.createComment(` data-each: ${source} `);
+    const parent = el.parentNode;
+    parent.replaceChild(anchor, el);
+
+    const rowLocals = (item, index) => ({ [each.item]: item, [each.index]: index });
+    const rows = new WeakMap();
+
+    const stop = ReactiveUtils.renderList(parent, () => run(listFn, context.state, context.locals, anchor) || [], {
+      anchor,
+      key: keyFn
+        ? (item, index) => keyFn(context.state, [rowLocals(item, index)].concat(context.locals))
+        : undefined,
+      render(item, index) {
+        const row = template.cloneNode(true);
+        const locals = createState(rowLocals(item, index));
+        rows.set(row, { locals, handle: mountTree(row, context.state, [locals].concat(context.locals)) });
+        return row;
+      },
+      update(row, item, index) {
+        const entry = rows.get(row);
+        batch(() => {
+          entry.locals[each.item] = item;
+          entry.locals[each.index] = index;
+        });
+      },
+      onRemove(row) {
+        const entry = rows.get(row);
+        if (entry) entry.handle.unmount();
+      }
+    });
+
+    context.cleanups.push(() => {
+      stop();
+      if (anchor.parentNode) anchor.parentNode.replaceChild(el, anchor);
+    });
+  }
+
+  // ============================================================================
+  // MOUNT
+  // ============================================================================
+
+  function bindElement(el, context) {
+    Array.from(el.attributes).forEach(attr => {
+      const name = attr.name;
+      const source = attr.value;
+      if (name.indexOf('data-') !== 0) return;
+
+      if (name === 'data-model') {
+        bindModel(el, source, context);
+        return;
+      }
+
+      let apply = null;
+      if (name === 'data-text') {
+        apply = value => applyValue(el, null, value);
+      } else if (name === 'data-html') {
+        apply = value => applyValue(el, 'innerHTML', value == null ? '' : String(value));
+      } else if (name === 'data-show') {
+        const display = el.style.display === 'none' ? '' : el.style.display;
+        apply = value => { el.style.display = value ? display : 'none'; };
+      } else if (name.indexOf('data-class-') === 0) {
+        const className = name.slice('data-class-'.length);
+        apply = value => el.classList.toggle(className, !!value);
+      } else if (name.indexOf('data-attr-') === 0) {
+        const attrName = name.slice('data-attr-'.length);
+        apply = value => setAttribute(el, attrName, value);
+      } else if (name.indexOf('data-on-') === 0) {
+        const type = name.slice('data-on-'.length);
+        const handler = compileDirective(el, name, source);
+        if (!handler) return;
+        const listener = (event) => {
+          const locals = [{ $event: event }].concat(context.locals);
+          const result = run(handler, context.state, locals, el);
+          if (typeof result === 'function') result.call(context.state, event);
+        };
+        el.addEventListener(type, listener);
+        context.cleanups.push(() => el.removeEventListener(type, listener));
+        return;
+      } else {
+        return;
+      }
+
+      const getter = compileDirective(el, name, source);
+      if (!getter) return;
+      bindingEffect(() => apply(run(getter, context.state, context.locals, el)));
+    });
+  }
+
+  function mountTree(root, state, locals) {
+    const scope = effectScope();
+    const context = { state, locals, cleanups: [] };
+
+    scope.run(() => {
+      const visit = (el) => {
+        if (el.hasAttribute('data-each')) {
+          bindEach(el, el.getAttribute('data-each'), context);
+          return; // rows are mounted on their own
+        }
+        bindElement(el, context);
+        Array.from(el.children).forEach(visit);
+      };
+      visit(root);
+    });
+
+    return {
+      root,
+      unmount() {
+        scope.stop();
+        context.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+      }
+    };
+  }
+
+  /**
+   * Scan a DOM subtree for data-* directives and bind them to a state
+   * @param {Element|string} root - Root element or selector
+   * @param {Object} state - Reactive state the expressions read and write
+   * @returns {Object|null} { root, unmount() }
+   */
+  function mount(root, state) {
+    const el = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!el) {
+      console.error('[Directives] mount(): root element not found:', root);
+      return null;
+    }
+
+    unmount(el);
+    const handle = mountTree(el, state, []);
+    const unmountHandle = handle.unmount;
+    handle.unmount = () => {
+      mounted.delete(el);
+      unmountHandle();
+    };
+    mounted.set(el, handle);
+    return handle;
+  }
+
+  /**
+   * Dispose everything mount() set up on a root element
+   * @param {Element|string} root
+   */
+  function unmount(root) {
+    const el = typeof root === 'string' ? document.querySelector(root) : root;
+    const handle = el && mounted.get(el);
+    if (handle) handle.unmount();
+  }
+
+  ReactiveUtils.mount = mount;
+  ReactiveUtils.unmount = unmount;
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE]);
+const { state, effect, toRaw } = ReactiveUtils;
+
+test('index reads re-run when that index is written', () => {
+  const s = state({ items: ['a', 'b'] });
+  const seen = [];
+  effect(() => seen.push(s.items[1]));
+
+  s.items[0] = 'x';
+  s.items[1] = 'y';
+  assert.deepEqual(seen, ['b', 'y']);
+});
+
+test('length subscribers see push, pop and writes past the end', () => {
+  const s = state({ items: [1] });
+  const seen = [];
+  effect(() => seen.push(s.items.length));
+
+  s.items.push(2);
+  s.items.pop();
+  s.items[3] = 4;
+  assert.deepEqual(seen, [1, 2, 1, 4]);
+});
+
+test('a mutator notifies once and does not subscribe the caller', () => {
+  const s = state({ items: [], log: [] });
+  let runs = 0;
+  effect(() => { runs++; s.items.length; });
+  s.items.push(1, 2, 3);
+  assert.equal(runs, 2);
+
+  // An effect that pushes does not re-trigger itself through length
+  let pushes = 0;
+  effect(() => { pushes++; s.log.push(s.items.length); });
+  s.items.push(4);
+  assert.equal(pushes, 2);
+});
+
+test('truncating length notifies readers of removed indexes', () => {
+  const s = state({ items: ['a', 'b', 'c'] });
+  const seen = [];
+  effect(() => seen.push(s.items[2]));
+
+  s.items.length = 1;
+  assert.deepEqual(seen, ['c', undefined]);
+});
+
+test('identity searches find raw and proxied items', () => {
+  const item = { id: 1 };
+  const s = state({ items: [item] });
+  assert.equal(s.items.includes(item), true);
+  assert.equal(s.items.indexOf(s.items[0]), 0);
+  assert.equal(s.items[0], s.items[0]);
+  assert.equal(toRaw(s.items)[0], item);
+});
+
+test('sort and splice notify iterating effects', () => {
+  const s = state({ items: [3, 1, 2] });
+  const seen = [];
+  effect(() => seen.push(s.items.join(',')));
+
+  s.items.sort();
+  s.items.splice(0, 1);
+  assert.deepEqual(seen, ['3,1,2', '1,2,3', '2,3']);
+});
@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE]);
+const { ReactiveUtils } = window;
+const { state, effect, computed, computedRef, ref, isRef } = ReactiveUtils;
+
+function silence(method, fn) {
+  const messages = [];
+  const original = window.console[method];
+  window.console[method] = (message) => messages.push(message);
+  try {
+    fn();
+  } finally {
+    window.console[method] = original;
+  }
+  return messages;
+}
+
+test('a { get, set } computed writes through its setter', () => {
+  const s = state({ first: 'Ada', last: 'Lovelace' });
+  s.$computed('full', {
+    get() { return `${this.first} ${this.last}`; },
+    set(value) { [this.first, this.last] = value.split(' '); }
+  });
+
+  s.full = 'Grace Hopper';
+  assert.equal(s.first, 'Grace');
+  assert.equal(s.last, 'Hopper');
+  assert.equal(s.full, 'Grace Hopper');
+});
+
+test('setter writes are batched into one effect run', () => {
+  const s = state({ first: 'a', last: 'b' });
+  computed(s, {
+    full: {
+      get() { return `${this.first} ${this.last}`; },
+      set(value) { [this.first, this.last] = value.split(' '); }
+    }
+  });
+  let runs = 0;
+  effect(() => { runs++; return s.first + s.last; });
+
+  s.full = 'c d';
+  assert.equal(runs, 2);
+});
+
+test('getter-only computeds stay read-only', () => {
+  const s = state({ count: 2 });
+  s.$computed('double', function() { return this.count * 2; });
+
+  const warnings = silence('warn', () => { s.double = 10; });
+  assert.equal(s.double, 4);
+  assert.equal(warnings.length, 1);
+});
+
+test('a descriptor without a getter is rejected', () => {
+  const s = state({});
+  const errors = silence('error', () => s.$computed('bad', { set() {} }));
+  assert.equal(errors.length, 1);
+  assert.equal(s.bad, undefined);
+});
+
+test('computedRef is lazy and cached until a source changes', () => {
+  const s = state({ count: 1 });
+  let runs = 0;
+  const double = computedRef(() => { runs++; return s.count * 2; });
+  assert.equal(runs, 0);
+
+  assert.equal(double.value, 2);
+  assert.equal(double.value, 2);
+  assert.equal(runs, 1);
+
+  s.count = 2;
+  assert.equal(double.value, 4);
+  assert.equal(runs, 2);
+  assert.equal(isRef(double), true);
+});
+
+test('effects reading a computedRef re-run only when its value changes', () => {
+  const price = ref(10);
+  const s = state({ qty: 2 });
+  const total = computedRef(() => price.value * s.qty);
+  const seen = [];
+  effect(() => seen.push(total.value));
+
+  s.qty = 3;
+  price.value = 10;
+  assert.deepEqual(seen, [20, 30]);
+});
+
+test('a computedRef setter writes its sources; dispose stops it', () => {
+  const s = state({ celsius: 0 });
+  const fahrenheit = computedRef({
+    get: () => s.celsius * 9 / 5 + 32,
+    set: value => { s.celsius = (value - 32) * 5 / 9; }
+  });
+
+  fahrenheit.value = 212;
+  assert.equal(s.celsius, 100);
+  assert.equal(fahrenheit.value, 212);
+
+  fahrenheit.dispose();
+  s.celsius = 0;
+  assert.equal(fahrenheit.value, 212);
+});
+
+test('computed-of-computed updates through the dependency graph', () => {
+  const s = state({ count: 1 });
+  s.$computed('double', function() { return this.count * 2; });
+  s.$computed('quadruple', function() { return this.double * 2; });
+  const seen = [];
+  effect(() => seen.push(s.quadruple));
+
+  s.count = 2;
+  assert.deepEqual(seen, [4, 8]);
+});
+
+test('a computed whose value did not change does not re-run its dependents', () => {
+  const s = state({ count: 1 });
+  s.$computed('isPositive', function() { return this.count > 0; });
+  let runs = 0;
+  effect(() => { runs++; return s.isPositive; });
+
+  s.count = 5;
+  assert.equal(runs, 1);
+  s.count = -1;
+  assert.equal(runs, 2);
+});
+
+test('a queued effect behind a diamond of computeds runs once', async () => {
+  const s = state({ count: 1 });
+  s.$computed('a', function() { return this.count + 1; });
+  s.$computed('b', function() { return this.count * 10; });
+  const seen = [];
+  effect(() => seen.push(s.a + s.b), { flush: 'post' });
+
+  s.count = 2;
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(seen, [12, 23]);
+});
+
+test('computeds are invalidated by nested objects and other states', () => {
+  const settings = state({ rate: 2 });
+  const cart = state({ line: { qty: 1 } });
+  cart.$computed('total', function() { return this.line.qty * settings.rate; });
+  assert.equal(cart.total, 2);
+
+  cart.line.qty = 3;
+  assert.equal(cart.total, 6);
+  settings.rate = 10;
+  assert.equal(cart.total, 30);
+});
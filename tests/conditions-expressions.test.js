@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+import '../src/04_reactive/14_dh-reactive-expressions.js';
+
+const { predicate, matches } = globalThis.ReactiveExpressions;
+
+test('predicates combine leading comparisons and patterns', () => {
+  const inRange = predicate('>=10 && <100');
+  assert.equal(inRange(42), true);
+  assert.equal(inRange(100), false);
+  assert.equal(matches('!empty', []), false);
+  assert.equal(matches('!empty', [1]), true);
+  assert.equal(matches('in:draft,review', 'review'), true);
+  assert.equal(matches('startsWith:img || endsWith:.png', 'a.png'), true);
+  assert.equal(matches('/^v\\d+$/i', 'V2'), true);
+});
+
+test('predicates read subject properties and $value', () => {
+  assert.equal(matches('length>3', 'abcd'), true);
+  assert.equal(matches('user.role === "admin"', { user: { role: 'admin' } }), true);
+  assert.equal(matches('$value % 2 === 0', 4), true);
+});
+
+test('predicates resolve subject properties safely', () => {
+  assert.equal(matches('toString', {}), false);
+  assert.equal(({}).polluted, undefined);
+});
+
+const FILES = [
+  CORE,
+  '04_reactive/14_dh-reactive-expressions.js',
+  '03_conditions/01_dh-conditional-rendering.js',
+  '03_conditions/02_dh-conditions-default.js'
+];
+
+test('whenState matches expr: keys against the value', () => {
+  const window = load(FILES, '<p id="badge"></p><p id="status"></p><p id="total"></p>');
+  const { ReactiveUtils, Conditions, document } = window;
+  const order = ReactiveUtils.state({ total: 0, status: 'draft', items: [] });
+
+  Conditions.whenState(() => order, {
+    'expr:status === "paid" && total >= 100': { textContent: 'Free shipping' },
+    'expr:items.length > 3 || total >= 500': { textContent: 'Bulk order' },
+    'default': { textContent: '' }
+  }, '#badge');
+  Conditions.whenState(() => order.status, {
+    'expr:in:draft,review && !startsWith:_': { textContent: 'Not submitted' },
+    'default': { textContent: '' }
+  }, '#status');
+  Conditions.whenState(() => order.total, {
+    'expr:>=10 && <100': { className: 'mid' },
+    'default': { className: '' }
+  }, '#total');
+
+  const badge = document.getElementById('badge');
+  const status = document.getElementById('status');
+  const total = document.getElementById('total');
+  assert.equal(badge.textContent, '');
+  assert.equal(status.textContent, 'Not submitted');
+
+  order.total = 150;
+  order.status = 'paid';
+  assert.equal(badge.textContent, 'Free shipping');
+  assert.equal(status.textContent, '');
+  assert.equal(total.className, '');
+
+  order.items.push(1, 2, 3, 4);
+  order.status = 'review';
+  assert.equal(badge.textContent, 'Bulk order');
+
+  order.total = 50;
+  assert.equal(total.className, 'mid');
+});
+
+test('keys without the prefix keep their old meaning', () => {
+  const window = load(FILES, '<p id="p"></p>');
+  const { Conditions, document } = window;
+  Conditions.apply('!important', {
+    '!important': { textContent: 'exact' },
+    'default': { textContent: 'other' }
+  }, '#p');
+  assert.equal(document.getElementById('p').textContent, 'exact');
+});
+
+test('expr: keys never match without the expressions module', () => {
+  const window = load([CORE, '03_conditions/01_dh-conditional-rendering.js', '03_conditions/02_dh-conditions-default.js'], '<p id="p"></p>');
+  const warnings = [];
+  window.console.warn = (...args) => warnings.push(args.join(' '));
+  window.Conditions.apply(5, {
+    'expr:>1': { textContent: 'big' },
+    'default': { textContent: 'none' }
+  }, '#p');
+  assert.equal(window.document.getElementById('p').textContent, 'none');
+  assert.equal(warnings.length, 1);
+});
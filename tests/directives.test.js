@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const FILES = [
+  CORE,
+  '04_reactive/03_dh-reactive-collections.js',
+  '04_reactive/14_dh-reactive-expressions.js',
+  '04_reactive/15_dh-reactive-directives.js'
+];
+
+const HTML = `<!doctype html><body><div id="app">
+  <h1 data-text="title"></h1>
+  <p data-show="items.length === 0">Nothing yet</p>
+  <input id="draft" data-model="draft" data-on-keydown="$event.key === 'Enter' && add()">
+  <ul>
+    <li data-each="item in items" data-key="item.id" data-class-done="item.done" data-attr-title="item.note">
+      <input type="checkbox" data-model="item.done">
+      <span data-text="item.text"></span>
+      <button data-on-click="remove(item)">x</button>
+    </li>
+  </ul>
+</div></body>`;
+
+const setup = () => {
+  const window = load(FILES, HTML);
+  const { ReactiveUtils } = window;
+  const app = ReactiveUtils.state({
+    title: 'Todos',
+    draft: '',
+    items: [],
+    nextId: 1,
+    add() {
+      this.items.push({ id: this.nextId++, text: this.draft, done: false, note: null });
+      this.draft = '';
+    },
+    remove(item) {
+      this.items = this.items.filter(other => other.id !== item.id);
+    }
+  });
+  const handle = ReactiveUtils.mount('#app', app);
+  const $ = (selector) => window.document.querySelector(selector);
+  return { window, ReactiveUtils, app, handle, $ };
+};
+
+test('data-text and data-show follow the state', () => {
+  const { app, $ } = setup();
+  assert.equal($('h1').textContent, 'Todos');
+  assert.equal($('p').style.display, '');
+
+  app.title = 'Done';
+  app.items.push({ id: 9, text: 'x', done: false });
+  assert.equal($('h1').textContent, 'Done');
+  assert.equal($('p').style.display, 'none');
+});
+
+test('data-model writes back and data-on runs handlers with $event', async () => {
+  const { window, ReactiveUtils, app, $ } = setup();
+  const input = $('#draft');
+  input.value = 'milk';
+  input.dispatchEvent(new window.Event('input'));
+  assert.equal(app.draft, 'milk');
+
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+  await ReactiveUtils.nextTick();
+  assert.equal(app.items.length, 1);
+  assert.equal(input.value, '');
+  assert.equal($('li span').textContent, 'milk');
+});
+
+test('data-each rows bind item locals and remove through handlers', async () => {
+  const { window, ReactiveUtils, app, $ } = setup();
+  app.items = [
+    { id: 1, text: 'a', done: false, note: 'first' },
+    { id: 2, text: 'b', done: true, note: null }
+  ];
+  await ReactiveUtils.nextTick();
+
+  const rows = () => window.document.querySelectorAll('li');
+  assert.equal(rows().length, 2);
+  assert.equal(rows()[0].title, 'first');
+  assert.equal(rows()[1].hasAttribute('title'), false);
+  assert.ok(rows()[1].classList.contains('done'));
+
+  const checkbox = rows()[0].querySelector('input');
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new window.Event('change'));
+  assert.equal(app.items[0].done, true);
+  assert.ok(rows()[0].classList.contains('done'));
+
+  $('li button').dispatchEvent(new window.Event('click'));
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(Array.from(rows(), li => li.querySelector('span').textContent), ['b']);
+});
+
+test('unmount stops bindings and listeners', () => {
+  const { window, ReactiveUtils, app, $ } = setup();
+  ReactiveUtils.unmount('#app');
+
+  app.title = 'changed';
+  assert.equal($('h1').textContent, 'Todos');
+
+  const input = $('#draft');
+  input.value = 'x';
+  input.dispatchEvent(new window.Event('input'));
+  assert.equal(app.draft, '');
+});
+
+test('invalid expressions are reported, not thrown', () => {
+  const window = load(FILES, '<div id="app"><span data-text="a +"></span><b data-text="title"></b></div>');
+  const errors = [];
+  window.console.error = (...args) => errors.push(args.join(' '));
+  window.ReactiveUtils.mount('#app', window.ReactiveUtils.state({ title: 't' }));
+  assert.equal(errors.length, 1);
+  assert.equal(window.document.querySelector('b').textContent, 't');
+});
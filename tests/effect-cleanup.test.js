@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE]);
+const { state, effect } = ReactiveUtils;
+
+test('a disposed effect no longer runs', () => {
+  const s = state({ count: 0 });
+  let runs = 0;
+  const stop = effect(() => { runs++; return s.count; });
+
+  s.count = 1;
+  assert.equal(runs, 2);
+
+  stop();
+  s.count = 2;
+  assert.equal(runs, 2);
+  assert.equal(stop.effect.active, false);
+});
+
+test('branches no longer taken stop triggering the effect', () => {
+  const s = state({ useA: true, a: 1, b: 1 });
+  let runs = 0;
+  effect(() => { runs++; return s.useA ? s.a : s.b; });
+
+  s.useA = false;
+  assert.equal(runs, 2);
+  s.a = 2;
+  assert.equal(runs, 2);
+  s.b = 2;
+  assert.equal(runs, 3);
+});
+
+test('__stopEffects detaches every effect of one state', () => {
+  const s = state({ count: 0 });
+  const other = state({ count: 0 });
+  let runs = 0;
+  effect(() => { runs++; return s.count + other.count; });
+
+  ReactiveUtils.__stopEffects(s);
+  s.count = 1;
+  other.count = 1;
+  assert.equal(runs, 1);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE]);
+const { state, effect, effectScope, onScopeDispose, getCurrentScope, computedRef } = ReactiveUtils;
+
+test('stop() disposes effects, watchers and computeds created in run()', () => {
+  const s = state({ count: 0 });
+  const scope = effectScope();
+  let effectRuns = 0;
+  let watchCalls = 0;
+  let double;
+
+  scope.run(() => {
+    effect(() => { effectRuns++; return s.count; });
+    s.$watch('count', () => watchCalls++);
+    double = computedRef(() => s.count * 2);
+    assert.equal(getCurrentScope(), scope);
+  });
+  assert.equal(getCurrentScope(), null);
+  assert.equal(double.value, 0);
+
+  s.count = 1;
+  scope.stop();
+  s.count = 2;
+
+  assert.equal(effectRuns, 2);
+  assert.equal(watchCalls, 1);
+  // A stopped computed keeps the last value it computed
+  assert.equal(double.value, 0);
+  assert.equal(scope.active, false);
+});
+
+test('nested scopes stop with their parent unless detached', () => {
+  const parent = effectScope();
+  let child;
+  let detached;
+  parent.run(() => {
+    child = effectScope();
+    detached = effectScope(true);
+  });
+
+  parent.stop();
+  assert.equal(child.active, false);
+  assert.equal(detached.active, true);
+  detached.stop();
+});
+
+test('onScopeDispose callbacks run on stop', () => {
+  const scope = effectScope();
+  const calls = [];
+  scope.run(() => onScopeDispose(() => calls.push('disposed')));
+
+  assert.deepEqual(calls, []);
+  scope.stop();
+  scope.stop();
+  assert.deepEqual(calls, ['disposed']);
+});
+
+test('pause() holds effects back and resume() runs each once', () => {
+  const s = state({ count: 0 });
+  const scope = effectScope();
+  const seen = [];
+  scope.run(() => effect(() => seen.push(s.count)));
+
+  scope.pause();
+  s.count = 1;
+  s.count = 2;
+  assert.deepEqual(seen, [0]);
+
+  scope.resume();
+  assert.deepEqual(seen, [0, 2]);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/04_reactive/14_dh-reactive-expressions.js';
+
+const { compile, evaluate } = globalThis.ReactiveExpressions;
+
+function assertNoPollution() {
+  assert.equal(({}).polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+}
+
+test('blocked keys are rejected as identifiers and members', () => {
+  const keys = [
+    '__proto__', 'constructor', 'prototype',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+  ];
+  keys.forEach(key => {
+    assert.throws(() => compile(key), /not allowed/);
+    assert.throws(() => compile(`s.${key}`), /not allowed/);
+    assert.throws(() => evaluate(`s["${key}"]`, { s: {} }), /not allowed/);
+  });
+});
+
+test('__lookupGetter__ cannot reach the __proto__ accessor', () => {
+  assert.throws(() => evaluate('__lookupGetter__("__proto__").call(s).polluted = 1', { s: {} }));
+  assert.throws(() => evaluate('s["__lookup" + "Getter__"]("__proto__")', { s: {} }), /not allowed/);
+  assertNoPollution();
+});
+
+test('__defineGetter__ is not callable from an expression', () => {
+  assert.throws(() => evaluate('__defineGetter__("polluted", f)', { f: () => 1 }));
+  assert.throws(() => evaluate('s.__defineGetter__("polluted", f)', { s: {}, f: () => 1 }));
+  assertNoPollution();
+});
+
+test('identifiers do not resolve to Object.prototype members', () => {
+  const scope = { s: {} };
+  assert.equal(evaluate('toString', scope), undefined);
+  assert.equal(evaluate('hasOwnProperty', scope), undefined);
+  assert.equal(evaluate('valueOf', scope), undefined);
+  assert.throws(() => evaluate('toString()', scope), /is not a function/);
+  assert.throws(() => evaluate('hasOwnProperty.call(s, "x")', scope), /is not a function/);
+});
+
+test('members do not expose Object.prototype methods', () => {
+  const scope = { s: {}, text: 'abc' };
+  assert.equal(evaluate('s.toString', scope), undefined);
+  assert.equal(evaluate('s.hasOwnProperty', scope), undefined);
+  assert.equal(evaluate('text.toString', scope), undefined);
+  assert.throws(() => evaluate('text.toString.call(s)', scope));
+});
+
+test('locals and scope own properties still resolve', () => {
+  const scope = {
+    count: 2,
+    items: [1, 2, 3],
+    toString() { return 'own'; },
+    add(n) { this.count += n; }
+  };
+  assert.equal(evaluate('count + items.length', scope), 5);
+  assert.equal(evaluate('toString()', scope), 'own');
+  assert.equal(evaluate('item * 2', scope, { item: 4 }), 8);
+  evaluate('add(3)', scope);
+  assert.equal(scope.count, 5);
+  assert.equal(evaluate('text.toUpperCase()', { text: 'abc' }), 'ABC');
+  assert.equal(evaluate('items.map', scope), Array.prototype.map);
+});
+
+test('assignments only write to the scope', () => {
+  const scope = {};
+  evaluate('polluted = 1', scope);
+  assert.equal(scope.polluted, 1);
+  assertNoPollution();
+});
+
+test('assignments reach plain objects and arrays only', () => {
+  const scope = { user: { name: 'a' }, items: [1, 2], date: new Date(0), f() {} };
+  evaluate('user.name = "b"; items[0] = 5; user.tags = []; user.tags[0] = "x"', scope);
+  assert.equal(scope.user.name, 'b');
+  assert.equal(scope.items[0], 5);
+  assert.deepEqual(scope.user.tags, ['x']);
+
+  assert.throws(() => evaluate('items.map.call = 0', scope), /Cannot assign/);
+  assert.throws(() => evaluate('items.map.polluted++', scope), /Cannot assign/);
+  assert.throws(() => evaluate('f.polluted = 1', scope), /Cannot assign/);
+  assert.throws(() => evaluate('date.polluted = 1', scope), /Cannot assign/);
+  assert.throws(() => compile('items.map.call').assign(scope, 0), /Cannot assign/);
+  assert.equal(typeof Array.prototype.map.call, 'function');
+  assert.equal(Array.prototype.map.polluted, undefined);
+});
+
+test('the scope and locals are always assignable', () => {
+  class Store { constructor() { this.count = 0; } }
+  const scope = new Store();
+  const locals = new Store();
+  evaluate('count = 1', scope);
+  assert.equal(scope.count, 1);
+  evaluate('$scope.count = 2; $local.count = 3', scope, [{ $scope: scope, $local: locals }, locals]);
+  assert.equal(scope.count, 2);
+  assert.equal(locals.count, 3);
+});
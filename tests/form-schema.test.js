@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const SCHEMA = '04_reactive/10_dh-reactive-form-schema.js';
+const FORM = '04_reactive/04_dh-reactive-form.js';
+
+const signup = {
+  name: { type: 'string', required: true, min: 2 },
+  age: { type: 'number', integer: true, min: 18 },
+  address: { type: 'object', shape: { city: { type: 'string', required: true } } },
+  items: { type: 'array', min: 1, of: { type: 'object', shape: { qty: { type: 'number', min: 1 } } } },
+  vat: { type: 'string', when: { field: 'isCompany', is: true, then: { required: true } } },
+  $refine: [{ path: 'confirm', check: values => values.confirm === values.password, message: 'Passwords must match' }]
+};
+
+test('validate() reports flat path errors and returns coerced values', () => {
+  const { FormSchema } = load([CORE, SCHEMA]);
+  const result = FormSchema.validate(signup, {
+    name: 'A',
+    age: '17.5',
+    address: { city: '' },
+    items: [{ qty: '0' }],
+    isCompany: true,
+    password: 'a',
+    confirm: 'b'
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual({ ...result.errors }, {
+    name: 'Must be at least 2 characters',
+    age: 'Must be a whole number',
+    'address.city': 'This field is required',
+    'items.0.qty': 'Must be at least 1',
+    vat: 'This field is required',
+    confirm: 'Passwords must match'
+  });
+  assert.equal(result.values.age, 17.5);
+  assert.equal(result.values.items[0].qty, 0);
+});
+
+test('when branches only apply while their condition holds', () => {
+  const { FormSchema } = load([CORE, SCHEMA]);
+  assert.equal(FormSchema.validateField(signup, 'vat', { isCompany: false }), null);
+  assert.equal(FormSchema.validateField(signup, 'vat', { isCompany: true }), 'This field is required');
+});
+
+test('the schema needs no DOM and no Forms module', () => {
+  const { FormSchema, Forms } = load([CORE, SCHEMA]);
+  assert.equal(Forms, undefined);
+  assert.equal(FormSchema.validate(signup, {
+    name: 'Ada', age: 30, address: { city: 'Oslo' }, items: [{ qty: 1 }], password: 'x', confirm: 'x'
+  }).valid, true);
+});
+
+test('Forms.create({ schema }) validates rows and coerces setValue()', () => {
+  const { Forms } = load([CORE, FORM, SCHEMA]);
+  const form = Forms.create({ name: '', age: '', items: [{ qty: 1 }, { qty: 1 }] }, {
+    schema: signup,
+    validators: { name: value => (value === 'admin' ? 'Reserved' : null) }
+  });
+
+  form.setValue('age', '42');
+  assert.equal(form.values.age, 42);
+
+  form.setValue('items[1].qty', '0');
+  assert.equal(form.values.items[1].qty, 0);
+  assert.equal(form.errors['items.1.qty'], 'Must be at least 1');
+
+  form.setValue('name', 'admin');
+  assert.equal(form.errors.name, 'Reserved');
+});
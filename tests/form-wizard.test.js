@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { Forms } = load([CORE, '04_reactive/04_dh-reactive-form.js', '04_reactive/11_dh-reactive-form-wizard.js']);
+const required = value => (value ? null : 'Required');
+
+function signup(extra = {}) {
+  return Forms.wizard(Object.assign({
+    initialValues: { name: '', email: '', plan: '', items: [{ qty: 1 }] },
+    steps: [
+      { fields: ['name', 'email'], validators: { name: required } },
+      { fields: ['plan', 'items.*'], validators: { plan: required, 'items.*.qty': v => (v > 0 ? null : 'Too low') } }
+    ]
+  }, extra));
+}
+
+test('next() validates only the current step', () => {
+  const wizard = signup();
+  assert.equal(wizard.next(), false);
+  assert.equal(wizard.currentStep, 0);
+  assert.deepEqual(Object.keys(wizard.errors), ['name']);
+
+  wizard.setValue('name', 'Ada');
+  assert.equal(wizard.next(), true);
+  assert.equal(wizard.currentStep, 1);
+  assert.equal(wizard.isLastStep, true);
+  assert.equal(wizard.back(), true);
+  assert.equal(wizard.isFirstStep, true);
+});
+
+test('canGoNext reads validation results without running validators', () => {
+  let calls = 0;
+  const wizard = signup({ validators: { email: () => { calls++; return null; } } });
+
+  assert.equal(wizard.canGoNext, true);
+  assert.equal(calls, 0);
+  assert.deepEqual(Object.keys(wizard.errors), []);
+
+  wizard.validateField('name');
+  assert.equal(wizard.canGoNext, false);
+  wizard.setValue('name', 'Ada');
+  assert.equal(wizard.canGoNext, true);
+});
+
+test('canGoNext is false while a step check is pending', async () => {
+  let resolve;
+  const wizard = signup({ validators: { email: () => new Promise(r => { resolve = r; }) } });
+  const result = wizard.validateField('email');
+  assert.equal(wizard.canGoNext, false);
+  resolve(null);
+  await result;
+  assert.equal(wizard.canGoNext, true);
+});
+
+test('step fields cover nested rows', () => {
+  const wizard = signup();
+  assert.deepEqual([...wizard.stepFields(1)].sort(), ['items.0', 'items.0.qty', 'plan']);
+
+  wizard.values.items.push({ qty: 0 });
+  wizard.goTo(1);
+  assert.equal(wizard.validateStep(), false);
+  assert.equal(wizard.errors['items.1.qty'], 'Too low');
+  assert.deepEqual([...wizard.touchedSteps], [1]);
+});
+
+test('a failed submit shows the first step with errors; reset goes back', async () => {
+  const wizard = signup({ onSubmit() {} });
+  wizard.goTo(1);
+  wizard.setValue('plan', 'pro');
+
+  const result = await wizard.submit();
+  assert.equal(result.success, false);
+  assert.equal(wizard.currentStep, 0);
+
+  wizard.goTo(1);
+  wizard.reset();
+  assert.equal(wizard.currentStep, 0);
+});
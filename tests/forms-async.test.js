@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE, '04_reactive/04_dh-reactive-form.js']);
+const { Forms } = window;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('async validators set validating until they settle', async () => {
+  const form = Forms.create({ name: '' }, {
+    validators: {
+      name: async (value) => { await wait(5); return value === 'taken' ? 'Name is taken' : null; }
+    }
+  });
+
+  const result = form.validateField('name');
+  assert.equal(typeof result.then, 'function');
+  assert.equal(form.isFieldValidating('name'), true);
+  assert.equal(form.isValidating, true);
+
+  form.values.name = 'taken';
+  assert.equal(await form.validateField('name'), false);
+  assert.equal(await result, false);
+  assert.equal(form.errors.name, 'Name is taken');
+  assert.equal(form.isValidating, false);
+});
+
+test('a newer check aborts the previous one', async () => {
+  const signals = [];
+  const form = Forms.create({ name: '' }, {
+    validators: {
+      name: (value, values, { signal }) => {
+        signals.push(signal);
+        return wait(5).then(() => (value ? null : 'Required'));
+      }
+    }
+  });
+
+  const first = form.validateField('name');
+  form.values.name = 'ok';
+  const second = form.validateField('name');
+
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[1].aborted, false);
+  assert.equal(await first, true);
+  assert.equal(await second, true);
+  assert.equal(form.errors.name, undefined);
+});
+
+test('setValue debounces validation per field', async () => {
+  let calls = 0;
+  const form = Forms.create({ name: '' }, {
+    debounce: { name: 10 },
+    validators: { name: value => { calls++; return value.length < 3 ? 'Too short' : null; } }
+  });
+
+  form.setValue('name', 'a');
+  form.setValue('name', 'ab');
+  assert.equal(calls, 0);
+  assert.equal(form.isFieldValidating('name'), true);
+
+  await wait(25);
+  assert.equal(calls, 1);
+  assert.equal(form.errors.name, 'Too short');
+  assert.equal(form.isFieldValidating('name'), false);
+});
+
+test('a rejected validator becomes an error message', async () => {
+  const form = Forms.create({ email: 'a@b.c' }, {
+    validators: { email: () => Promise.reject(new Error('Network down')) }
+  });
+  const error = window.console.error;
+  window.console.error = () => {};
+  try {
+    assert.equal(await form.validateField('email'), false);
+  } finally {
+    window.console.error = error;
+  }
+  assert.equal(form.errors.email, 'Network down');
+});
+
+test('combined validators stop at the first error and may be async', async () => {
+  const { combine, required } = Forms.validators;
+  const form = Forms.create({ code: '' }, {
+    validators: {
+      code: combine(required('Required'), value => Promise.resolve(value === 'x' ? null : 'Unknown code'))
+    }
+  });
+
+  assert.equal(form.validateField('code'), false);
+  assert.equal(form.errors.code, 'Required');
+
+  form.values.code = 'y';
+  assert.equal(await form.validate(), false);
+  assert.equal(form.errors.code, 'Unknown code');
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const FILES = [CORE, '04_reactive/04_dh-reactive-form.js', '04_reactive/10_dh-reactive-form-schema.js'];
+
+function setup(html, initial, options) {
+  const window = load(FILES, `<!doctype html><body><form>${html}</form></body>`);
+  const form = window.Forms.create(initial, options);
+  const stop = form.bindToInputs(window.document.querySelectorAll('input, select, textarea'));
+  return { window, document: window.document, form, stop };
+}
+
+function type(window, el, value) {
+  el.value = value;
+  el.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+function change(window, el) {
+  el.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+test('text and number inputs bind both ways with typed values', () => {
+  const { window, document, form } = setup(
+    '<input name="name"><input type="number" name="age">',
+    { name: 'Ada', age: 36 }
+  );
+  const [name, age] = document.querySelectorAll('input');
+  assert.equal(name.value, 'Ada');
+  assert.equal(age.value, '36');
+
+  type(window, age, '37');
+  assert.equal(form.values.age, 37);
+
+  form.values.name = 'Grace';
+  assert.equal(name.value, 'Grace');
+});
+
+test('checkbox lists, radios and select multiple give group values', () => {
+  const { window, document, form } = setup(`
+    <input type="checkbox" name="tags" value="a"><input type="checkbox" name="tags" value="b">
+    <input type="radio" name="size" value="s"><input type="radio" name="size" value="m">
+    <select name="days" multiple><option value="mon">Mon</option><option value="tue">Tue</option></select>
+  `, { tags: ['b'], size: 'm', days: [] });
+
+  const boxes = document.querySelectorAll('[name=tags]');
+  const radios = document.querySelectorAll('[name=size]');
+  assert.equal(boxes[1].checked, true);
+  assert.equal(radios[1].checked, true);
+
+  boxes[0].checked = true;
+  change(window, boxes[0]);
+  assert.deepEqual([...form.values.tags], ['a', 'b']);
+
+  radios[0].checked = true;
+  change(window, radios[0]);
+  assert.equal(form.values.size, 's');
+
+  form.values.days = ['tue'];
+  const select = document.querySelector('select');
+  assert.equal(select.options[1].selected, true);
+  select.options[0].selected = true;
+  change(window, select);
+  assert.deepEqual([...form.values.days], ['mon', 'tue']);
+});
+
+test('nested names bind to nested values', () => {
+  const { window, document, form } = setup('<input name="address[city]">', { address: { city: 'Oslo' } });
+  const input = document.querySelector('input');
+  assert.equal(input.value, 'Oslo');
+  type(window, input, 'Bergen');
+  assert.equal(form.values.address.city, 'Bergen');
+});
+
+test('a coerced value is not written back into the input being typed in', () => {
+  const { window, document, form } = setup(
+    '<input name="price"><input name="price" id="mirror">',
+    { price: 0 },
+    { schema: { price: { type: 'number' } } }
+  );
+  const [input, mirror] = document.querySelectorAll('input');
+
+  type(window, input, '1.');
+  assert.equal(form.values.price, 1);
+  assert.equal(input.value, '1.');
+  assert.equal(mirror.value, '1');
+});
+
+test('blur touches and validates; the returned function unbinds', () => {
+  const { window, document, form, stop } = setup('<input name="name">', { name: '' }, {
+    validators: { name: value => (value ? null : 'Required') }
+  });
+  const input = document.querySelector('input');
+  input.dispatchEvent(new window.Event('blur'));
+  assert.equal(form.isTouched('name'), true);
+  assert.equal(form.errors.name, 'Required');
+
+  stop();
+  type(window, input, 'x');
+  assert.equal(form.values.name, '');
+  form.values.name = 'y';
+  assert.equal(input.value, 'x');
+});
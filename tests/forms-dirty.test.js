@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { Forms } = load([CORE, '04_reactive/04_dh-reactive-form.js']);
+
+test('a field is dirty only while it differs from the baseline', () => {
+  const form = Forms.create({ name: 'Ada', address: { city: 'Oslo' } });
+  assert.equal(form.isDirty, false);
+
+  form.setValue('name', 'Grace');
+  assert.equal(form.isDirty, true);
+  assert.deepEqual([...form.dirtyFields], ['name']);
+
+  form.setValue('name', 'Ada');
+  assert.equal(form.isDirty, false);
+});
+
+test('groups and rows compare by value', () => {
+  const form = Forms.create({ address: { city: 'Oslo' }, items: [{ qty: 1 }] });
+  form.values.items = [{ qty: 1 }];
+  assert.equal(form.isFieldDirty('items'), false);
+
+  form.values.address.city = 'Bergen';
+  assert.equal(form.isFieldDirty('address'), true);
+  assert.equal(form.isFieldDirty('address.city'), true);
+});
+
+test('getChangedValues returns only the changed parts', () => {
+  const form = Forms.create({ name: 'Ada', address: { city: 'Oslo', zip: '0150' }, tags: ['a'] });
+  form.values.address.city = 'Bergen';
+  form.values.tags.push('b');
+
+  assert.equal(JSON.stringify(form.getChangedValues()), JSON.stringify({
+    address: { city: 'Bergen' },
+    tags: ['a', 'b']
+  }));
+});
+
+test('commit() moves the baseline, reset() returns to it', () => {
+  const form = Forms.create({ name: 'Ada' });
+  form.setValue('name', 'Grace');
+  form.commit();
+  assert.equal(form.isDirty, false);
+
+  form.setValue('name', 'Linus');
+  form.reset();
+  assert.equal(form.values.name, 'Grace');
+
+  form.reset({ name: 'Alan' });
+  assert.equal(form.values.name, 'Alan');
+  assert.equal(form.isDirty, false);
+});
+
+test('resetField restores one field from the baseline', () => {
+  const form = Forms.create({ a: 1, b: 1 });
+  form.setValue('a', 2);
+  form.setValue('b', 2);
+  form.resetField('a');
+  assert.equal(form.values.a, 1);
+  assert.deepEqual([...form.dirtyFields], ['b']);
+});
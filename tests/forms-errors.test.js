@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+function setup(html) {
+  const window = load([CORE, '04_reactive/04_dh-reactive-form.js'], `<!doctype html><body><form>${html}</form></body>`);
+  const form = window.Forms.create({ name: '', email: '' }, {
+    validators: {
+      name: value => (value ? null : 'Name is required'),
+      email: value => (value.includes('@') ? null : 'Invalid email')
+    }
+  });
+  return { window, document: window.document, form };
+}
+
+test('touched field errors render with aria attributes', () => {
+  const { document, form } = setup('<input name="name"><input name="email">');
+  const root = document.querySelector('form');
+  form.bindErrors(root);
+  const name = document.querySelector('[name=name]');
+
+  form.validate();
+  assert.equal(root.querySelectorAll('.form-error').length, 0);
+
+  form.setTouched('name');
+  const error = name.nextElementSibling;
+  assert.equal(error.textContent, 'Name is required');
+  assert.equal(name.getAttribute('aria-invalid'), 'true');
+  assert.equal(name.getAttribute('aria-describedby'), error.id);
+  assert.equal(name.getAttribute('aria-errormessage'), error.id);
+  assert.equal(name.classList.contains('is-invalid'), true);
+
+  form.setValue('name', 'Ada');
+  assert.equal(error.hidden, true);
+  assert.equal(name.hasAttribute('aria-invalid'), false);
+  assert.equal(name.hasAttribute('aria-describedby'), false);
+});
+
+test('existing [data-error-for] outlets are used', () => {
+  const { document, form } = setup('<input name="email" aria-describedby="hint"><p id="hint"></p><p data-error-for="email"></p>');
+  form.bindErrors('form', { showAll: true });
+  form.validateField('email');
+
+  const outlet = document.querySelector('[data-error-for=email]');
+  assert.equal(outlet.textContent, 'Invalid email');
+  assert.equal(document.querySelector('[name=email]').getAttribute('aria-describedby'), `hint ${outlet.id}`);
+});
+
+test('a failed submit focuses the first invalid field and announces a summary', async () => {
+  const { window, document, form } = setup('<input name="name"><input name="email">');
+  form.bindErrors('form');
+
+  await form.submit(() => {});
+  const region = document.querySelector('[aria-live]');
+  assert.equal(region.getAttribute('role'), 'status');
+  assert.equal(region.textContent, 'There are 2 errors in the form');
+  assert.equal(window.document.activeElement, document.querySelector('[name=name]'));
+});
+
+test('the returned function removes everything it rendered', () => {
+  const { document, form } = setup('<input name="name">');
+  const stop = form.bindErrors('form', { showAll: true });
+  form.validate();
+  assert.equal(document.querySelectorAll('.form-error').length, 1);
+
+  stop();
+  assert.equal(document.querySelectorAll('.form-error, .form-error-summary').length, 0);
+  assert.equal(document.querySelector('[name=name]').hasAttribute('aria-invalid'), false);
+});
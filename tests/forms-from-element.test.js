@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+function setup(html) {
+  const window = load([CORE, '04_reactive/04_dh-reactive-form.js'], `<!doctype html><body>${html}</body>`);
+  return { window, document: window.document, Forms: window.Forms };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Records native submissions instead of letting jsdom navigate
+function captureNative(el) {
+  const posted = [];
+  el.addEventListener('submit', (e) => {
+    if (e.defaultPrevented) return;
+    e.preventDefault();
+    posted.push(e.submitter ? e.submitter.name : null);
+  });
+  return posted;
+}
+
+test('values and validators come from the markup', () => {
+  const { Forms } = setup(`
+    <form>
+      <input name="name" required minlength="2" value="A">
+      <input name="age" type="number" min="18" value="20">
+      <input name="email" type="email" value="x">
+      <input name="code" pattern="[A-Z]{3}" title="Three capitals" value="ab">
+    </form>`);
+  const form = Forms.fromElement('form', { onSubmit() {} });
+
+  assert.equal(form.values.name, 'A');
+  assert.equal(form.values.age, 20);
+  assert.equal(form.validate(), false);
+  assert.deepEqual({ ...form.errors }, {
+    name: 'Must be at least 2 characters',
+    email: 'Invalid email address',
+    code: 'Three capitals'
+  });
+});
+
+test('an invalid pattern is skipped instead of aborting', () => {
+  const { window, Forms } = setup('<form><input name="code" pattern="[a-" value="x"><input name="n" required></form>');
+  const warnings = [];
+  const warn = window.console.warn;
+  window.console.warn = (message) => warnings.push(message);
+  let form;
+  try {
+    form = Forms.fromElement('form', { onSubmit() {} });
+  } finally {
+    window.console.warn = warn;
+  }
+
+  assert.ok(form);
+  assert.equal(warnings.length, 1);
+  assert.equal(form.validateField('code'), true);
+  assert.equal(form.validateField('n'), false);
+});
+
+test('hidden inputs are in the values but never validated or touched', async () => {
+  const { document, Forms } = setup(`
+    <form>
+      <input type="hidden" name="csrf" value="token-1">
+      <input name="name" value="Ada">
+    </form>`);
+  let submitted = null;
+  const form = Forms.fromElement('form', { onSubmit: values => { submitted = { ...values }; } });
+
+  assert.equal(form.values.csrf, 'token-1');
+  await form.submit();
+  assert.deepEqual(submitted, { csrf: 'token-1', name: 'Ada' });
+  assert.equal(form.isTouched('csrf'), false);
+  assert.equal(form.isTouched('name'), true);
+
+  form.values.csrf = 'token-2';
+  assert.equal(document.querySelector('[name=csrf]').value, 'token-2');
+});
+
+test('with onSubmit, the submit event runs form.submit()', async () => {
+  const { document, Forms } = setup('<form><input name="q" value="x"><button name="go">Go</button></form>');
+  const calls = [];
+  Forms.fromElement('form', { onSubmit: values => calls.push(values.q) });
+
+  document.querySelector('button').click();
+  await tick();
+  assert.deepEqual(calls, ['x']);
+  assert.equal(document.querySelector('form').noValidate, true);
+});
+
+test('without onSubmit, a valid form posts natively with its submitter', async () => {
+  const { document, Forms } = setup(`
+    <form><input name="q" required value="x">
+      <button name="save">Save</button><button name="publish">Publish</button>
+    </form>`);
+  const el = document.querySelector('form');
+  Forms.fromElement(el);
+  const posted = captureNative(el);
+
+  document.querySelector('[name=publish]').click();
+  await tick();
+  assert.deepEqual(posted, ['publish']);
+});
+
+test('without onSubmit, an invalid form is not posted', async () => {
+  const { document, Forms } = setup('<form><input name="q" required><button>Go</button></form>');
+  const el = document.querySelector('form');
+  const form = Forms.fromElement(el);
+  const posted = captureNative(el);
+
+  document.querySelector('button').click();
+  await tick();
+  assert.deepEqual(posted, []);
+  assert.equal(form.errors.q, 'This field is required');
+  assert.equal(document.querySelector('[name=q]').validationMessage, 'This field is required');
+});
+
+test('a failing submit is reported instead of rejecting', async () => {
+  const { window, document, Forms } = setup('<form><input name="q" value="x"><button>Go</button></form>');
+  const form = Forms.fromElement('form', { onSubmit() {} });
+  form.submit = () => Promise.reject(new Error('boom'));
+
+  const errors = [];
+  const error = window.console.error;
+  window.console.error = (...args) => errors.push(args);
+  try {
+    document.querySelector('button').click();
+    await tick();
+  } finally {
+    window.console.error = error;
+  }
+  assert.equal(errors.length, 1);
+});
+
+test('detach() removes listeners and restores noValidate', async () => {
+  const { document, Forms } = setup('<form><input name="q" value="x"></form>');
+  const el = document.querySelector('form');
+  const form = Forms.fromElement(el, { onSubmit() {} });
+
+  form.detach();
+  assert.equal(el.noValidate, false);
+  form.values.q = 'y';
+  assert.equal(document.querySelector('[name=q]').value, 'x');
+});
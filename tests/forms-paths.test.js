@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE, '04_reactive/04_dh-reactive-form.js']);
+const { Forms, ReactiveUtils } = window;
+
+test('ReactiveUtils.paths normalizes bracket and dot paths', () => {
+  const { toPath, toKeys, getIn, setIn } = ReactiveUtils.paths;
+  assert.equal(toPath('items[2].qty'), 'items.2.qty');
+  assert.equal(toPath('a[ "b" ][0]'), 'a.b.0');
+  assert.deepEqual([...toKeys('items[2].qty')], ['items', '2', 'qty']);
+  assert.equal(toKeys('').length, 0);
+
+  const obj = { 'flat.key': 1, a: { b: [{ c: 2 }] } };
+  assert.equal(getIn(obj, 'flat.key'), 1);
+  assert.equal(getIn(obj, 'a.b[0].c'), 2);
+  assert.equal(getIn(obj, 'a.x.y'), undefined);
+
+  const target = {};
+  setIn(target, 'rows.0.name', 'x');
+  assert.equal(Array.isArray(target.rows), true);
+  assert.equal(target.rows[0].name, 'x');
+});
+
+test('nested fields validate and track by dot path', () => {
+  const form = Forms.create({ address: { city: '' } }, {
+    validators: { 'address.city': value => (value ? null : 'Required') }
+  });
+
+  form.setValue('address[city]', '');
+  assert.equal(form.errors['address.city'], 'Required');
+  assert.equal(form.isTouched('address.city'), true);
+
+  form.setValue('address.city', 'Oslo');
+  assert.equal(form.values.address.city, 'Oslo');
+  assert.equal(form.hasError('address.city'), false);
+});
+
+test('row validators apply to every row', () => {
+  const form = Forms.create({ items: [{ qty: 1 }, { qty: 0 }] }, {
+    validators: { 'items.*.qty': value => (value > 0 ? null : 'Must be positive') }
+  });
+
+  assert.equal(form.validate(), false);
+  assert.deepEqual(Object.keys(form.errors), ['items.1.qty']);
+});
+
+test('field arrays keep errors and touched aligned with rows', () => {
+  const form = Forms.create({ items: [{ qty: 1 }, { qty: 0 }, { qty: 3 }] }, {
+    validators: { 'items.*.qty': value => (value > 0 ? null : 'Must be positive') }
+  });
+  const items = form.array('items');
+  form.validate();
+  form.setTouched('items.2.qty');
+
+  items.remove(0);
+  assert.equal(items.length, 2);
+  assert.deepEqual(Object.keys(form.errors), ['items.0.qty']);
+  assert.equal(form.isTouched('items.1.qty'), true);
+
+  items.move(0, 1);
+  assert.deepEqual(Object.keys(form.errors), ['items.1.qty']);
+  assert.equal(form.isTouched('items.0.qty'), true);
+
+  items.insert(0, { qty: 5 });
+  assert.deepEqual(Object.keys(form.errors), ['items.2.qty']);
+});
+
+test('reset restores a deep copy of the initial values', () => {
+  const initial = { address: { city: 'Oslo' } };
+  const form = Forms.create(initial);
+  form.values.address.city = 'Bergen';
+  assert.equal(initial.address.city, 'Oslo');
+
+  form.reset();
+  assert.equal(form.values.address.city, 'Oslo');
+});
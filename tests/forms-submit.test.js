@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE, '04_reactive/04_dh-reactive-form.js']);
+const { Forms } = window;
+
+// Submit failures are logged by design; keep the test output clean
+function quiet(fn) {
+  const { error, log } = window.console;
+  window.console.error = () => {};
+  window.console.log = () => {};
+  return Promise.resolve(fn()).finally(() => {
+    window.console.error = error;
+    window.console.log = log;
+  });
+}
+
+test('hooks run in order around the handler', async () => {
+  const order = [];
+  const form = Forms.create({ name: 'Ada' }, {
+    beforeSubmit: () => { order.push('before'); },
+    onSubmit: () => { order.push('submit'); return 'saved'; },
+    afterSubmit: (result) => { order.push(`after:${result.result}`); }
+  });
+
+  const result = await form.submit();
+  assert.deepEqual(order, ['before', 'submit', 'after:saved']);
+  assert.equal(result.success, true);
+  assert.equal(form.submitCount, 1);
+  assert.equal(typeof form.lastSubmittedAt, 'number');
+});
+
+test('beforeSubmit can cancel', async () => {
+  let called = false;
+  const form = Forms.create({}, { beforeSubmit: () => false, onSubmit: () => { called = true; } });
+  const result = await form.submit();
+  assert.deepEqual({ ...result }, { success: false, cancelled: true });
+  assert.equal(called, false);
+  assert.equal(form.isSubmitting, false);
+});
+
+test('onSubmitError maps server errors onto fields until they change', async () => {
+  const form = Forms.create({ email: 'a@b.c' }, {
+    onSubmit: () => Promise.reject(new Error('422')),
+    onSubmitError: () => ({ email: 'Already registered' })
+  });
+
+  const result = await quiet(() => form.submit());
+  assert.equal(result.success, false);
+  assert.equal(form.errors.email, 'Already registered');
+
+  form.setValue('email', 'c@d.e');
+  assert.equal(form.errors.email, undefined);
+});
+
+test('other failures become submitError', async () => {
+  const form = Forms.create({}, { onSubmit: () => Promise.reject(new Error('Network down')) });
+  await quiet(() => form.submit());
+  assert.equal(form.submitError, 'Network down');
+
+  form.reset();
+  assert.equal(form.submitError, null);
+});
+
+test('a second submit while one runs gets the same promise', async () => {
+  let calls = 0;
+  const form = Forms.create({}, { onSubmit: () => { calls++; return new Promise(r => setTimeout(r, 5)); } });
+  const first = form.submit();
+  const second = form.submit();
+  assert.equal(first, second);
+  await first;
+  assert.equal(calls, 1);
+});
+
+test('failed validation counts as an attempt', async () => {
+  const form = Forms.create({ name: '' }, {
+    validators: { name: v => (v ? null : 'Required') },
+    onSubmit() {}
+  });
+  const result = await quiet(() => form.submit());
+  assert.equal(result.success, false);
+  assert.equal(form.submitCount, 1);
+  assert.equal(form.isTouched('name'), true);
+});
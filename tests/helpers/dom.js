@@ -0,0 +1,19 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const SRC = new URL('../../src/', import.meta.url);
+
+/**
+ * Fresh jsdom window with the given source files evaluated in order, the
+ * same way the browser loads them from <script> tags
+ * @param {string[]} files - Paths relative to src/
+ * @param {string} [html]
+ * @returns {Window}
+ */
+export function load(files, html = '<!doctype html><body></body>') {
+  const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true });
+  files.forEach(file => dom.window.eval(readFileSync(new URL(file, SRC), 'utf8')));
+  return dom.window;
+}
+
+export const CORE = '04_reactive/01_dh-reactive.js';
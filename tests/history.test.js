@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE, '04_reactive/12_dh-reactive-history.js']);
+const { state, batch, history: createHistory } = ReactiveUtils;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('each mutation is an entry; undo and redo walk them', () => {
+  const doc = state({ title: 'a', blocks: [] });
+  const history = createHistory(doc);
+
+  doc.title = 'b';
+  doc.blocks.push({ text: 'x' });
+  assert.equal(history.undoCount, 2);
+
+  history.undo();
+  assert.equal(doc.blocks.length, 0);
+  history.undo();
+  assert.equal(doc.title, 'a');
+  assert.equal(history.canUndo, false);
+  assert.equal(history.canRedo, true);
+
+  history.redo();
+  assert.equal(doc.title, 'b');
+  assert.equal(history.redoCount, 1);
+});
+
+test('a batch is one entry', () => {
+  const doc = state({ a: 1, b: 1 });
+  const history = createHistory(doc);
+  batch(() => { doc.a = 2; doc.b = 2; });
+  assert.equal(history.undoCount, 1);
+  history.undo();
+  assert.deepEqual({ ...doc }, { a: 1, b: 1 });
+});
+
+test('undo inside an outer batch keeps the redo stack', () => {
+  const doc = state({ count: 0 });
+  const history = createHistory(doc);
+  doc.count = 1;
+  doc.count = 2;
+
+  batch(() => {
+    history.undo();
+    history.undo();
+  });
+  assert.equal(doc.count, 0);
+  assert.equal(history.undoCount, 0);
+  assert.equal(history.redoCount, 2);
+
+  batch(() => history.redo());
+  assert.equal(doc.count, 1);
+  assert.equal(history.redoCount, 1);
+});
+
+test('added and removed keys are undone', () => {
+  const doc = state({ meta: { a: 1 } });
+  const history = createHistory(doc);
+  doc.meta.b = 2;
+  delete doc.meta.a;
+
+  history.undo();
+  history.undo();
+  assert.deepEqual({ ...doc.meta }, { a: 1 });
+});
+
+test('paths and exclude limit what is recorded', () => {
+  const editor = state({ doc: { title: 'a', cursor: 0 }, ui: { open: false } });
+  const history = createHistory(editor, { paths: ['doc'], exclude: ['cursor'] });
+
+  editor.ui.open = true;
+  editor.doc.cursor = 5;
+  assert.equal(history.undoCount, 0);
+
+  editor.doc.title = 'b';
+  history.undo();
+  assert.equal(editor.doc.title, 'a');
+  assert.equal(editor.doc.cursor, 5);
+});
+
+test('debounce merges rapid changes into one entry', async () => {
+  const doc = state({ text: '' });
+  const history = createHistory(doc, { debounce: 10 });
+  doc.text = 'h';
+  doc.text = 'hi';
+  assert.equal(history.undoCount, 0);
+
+  await wait(25);
+  assert.equal(history.undoCount, 1);
+  history.undo();
+  assert.equal(doc.text, '');
+});
+
+test('capacity, pause and stop', () => {
+  const doc = state({ n: 0 });
+  const history = createHistory(doc, { capacity: 2 });
+  doc.n = 1;
+  doc.n = 2;
+  doc.n = 3;
+  assert.equal(history.undoCount, 2);
+
+  history.pause();
+  doc.n = 4;
+  history.resume();
+  assert.equal(history.undoCount, 2);
+
+  history.stop();
+  doc.n = 5;
+  assert.equal(history.undoCount, 2);
+});
+
+test('history needs only the core', () => {
+  assert.equal(typeof ReactiveUtils.history, 'function');
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const setup = () => {
+  const window = load([CORE, '04_reactive/03_dh-reactive-collections.js'], '<!doctype html><body><ul id="list"></ul></body>');
+  return { window, ReactiveUtils: window.ReactiveUtils, root: window.document.getElementById('list') };
+};
+
+const texts = (root) => Array.from(root.children, el => el.textContent);
+
+test('renders a collection and keeps rows across updates', async () => {
+  const { ReactiveUtils, root } = setup();
+  const todos = ReactiveUtils.list([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+
+  todos.renderTo(root, {
+    key: 'id',
+    render: () => '<li></li>',
+    update: (li, todo) => ({ textContent: todo.text })
+  });
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(texts(root), ['a', 'b']);
+
+  const first = root.children[0];
+  todos.add({ id: 3, text: 'c' });
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(texts(root), ['a', 'b', 'c']);
+  assert.equal(root.children[0], first);
+});
+
+test('item changes patch only their own row', async () => {
+  const { ReactiveUtils, root } = setup();
+  const todos = ReactiveUtils.list([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  let renders = 0;
+
+  todos.renderTo(root, {
+    render: () => { renders++; return '<li></li>'; },
+    update: (li, todo) => ({ textContent: todo.text })
+  });
+  await ReactiveUtils.nextTick();
+
+  todos.items[1].text = 'B';
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(texts(root), ['a', 'B']);
+  assert.equal(renders, 2);
+});
+
+test('reordering moves elements instead of re-creating them', async () => {
+  const { ReactiveUtils, root } = setup();
+  const store = ReactiveUtils.state({ items: [1, 2, 3, 4].map(id => ({ id })) });
+
+  ReactiveUtils.list(root, () => store.items, {
+    render: (item) => `<li>${item.id}</li>`
+  });
+  await ReactiveUtils.nextTick();
+  const before = Array.from(root.children);
+
+  store.items = [store.items[3], store.items[0], store.items[1], store.items[2]];
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(texts(root), ['4', '1', '2', '3']);
+  assert.deepEqual(Array.from(root.children), [before[3], before[0], before[1], before[2]]);
+});
+
+test('removed rows are dropped and stop() clears the container', async () => {
+  const { ReactiveUtils, root } = setup();
+  const todos = ReactiveUtils.list([{ id: 1 }, { id: 2 }]);
+  const stop = ReactiveUtils.renderList(root, todos, { render: (t) => ({ tag: 'li', textContent: String(t.id) }) });
+  await ReactiveUtils.nextTick();
+
+  todos.remove(item => item.id === 1);
+  await ReactiveUtils.nextTick();
+  assert.deepEqual(texts(root), ['2']);
+
+  stop();
+  assert.equal(root.children.length, 0);
+});
+
+test('Collections.list is the same dual-purpose list()', () => {
+  const { window, ReactiveUtils } = setup();
+  assert.equal(window.Collections.list, ReactiveUtils.list);
+});
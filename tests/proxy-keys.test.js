@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE]);
+const { state, effect } = ReactiveUtils;
+
+test('`in` re-runs when the key is added or deleted', () => {
+  const s = state({ flags: {} });
+  const seen = [];
+  effect(() => seen.push('on' in s.flags));
+
+  s.flags.on = true;
+  delete s.flags.on;
+  assert.deepEqual(seen, [false, true, false]);
+});
+
+test('Object.keys re-runs on additions and deletions, not on updates', () => {
+  const s = state({ map: { a: 1 } });
+  const seen = [];
+  effect(() => seen.push(Object.keys(s.map).join(',')));
+
+  s.map.a = 2;
+  s.map.b = 1;
+  delete s.map.a;
+  assert.deepEqual(seen, ['a', 'a,b', 'b']);
+});
+
+test('for...in over an array follows its length', () => {
+  const s = state({ list: [1] });
+  let runs = 0;
+  effect(() => {
+    runs++;
+    for (const key in s.list) void key;
+  });
+
+  s.list.push(2);
+  assert.equal(runs, 2);
+});
+
+test('deleting a key notifies readers of that key', () => {
+  const s = state({ user: { name: 'a' } });
+  const seen = [];
+  effect(() => seen.push(s.user.name));
+
+  delete s.user.name;
+  assert.deepEqual(seen, ['a', undefined]);
+});
+
+test('deleting a computed drops it', () => {
+  const s = state({ count: 1 });
+  s.$computed('double', function() { return this.count * 2; });
+  assert.equal(s.double, 2);
+
+  delete s.double;
+  assert.equal('double' in s, false);
+});
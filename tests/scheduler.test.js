@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE]);
+const { ReactiveUtils } = window;
+const { state, effect, batch, nextTick, flushSync, PRIORITY } = ReactiveUtils;
+
+test('sync effects run immediately, and once per batch', () => {
+  const s = state({ a: 0, b: 0 });
+  let runs = 0;
+  effect(() => { runs++; return s.a + s.b; });
+
+  s.a = 1;
+  assert.equal(runs, 2);
+
+  batch(() => { s.a = 2; s.b = 2; });
+  assert.equal(runs, 3);
+});
+
+test('pre and post effects are deferred to the microtask flush', async () => {
+  const s = state({ count: 0 });
+  const order = [];
+  effect(() => { s.count; order.push('post'); }, { flush: 'post' });
+  effect(() => { s.count; order.push('pre'); }, { flush: 'pre' });
+  order.length = 0;
+
+  s.count = 1;
+  s.count = 2;
+  assert.deepEqual(order, []);
+
+  await nextTick();
+  assert.deepEqual(order, ['pre', 'post']);
+});
+
+test('jobs in one flush run by priority', () => {
+  const s = state({ count: 0 });
+  const order = [];
+  effect(() => { s.count; order.push('bind'); }, { priority: PRIORITY.POST });
+  effect(() => { s.count; order.push('effect'); });
+  s.$watch('count', () => order.push('watch'));
+  order.length = 0;
+
+  batch(() => { s.count = 1; });
+  assert.deepEqual(order, ['watch', 'effect', 'bind']);
+});
+
+test('animationFrame effects wait for a frame, flushSync runs them now', () => {
+  const s = state({ count: 0 });
+  let seen = null;
+  effect(() => { seen = s.count; }, { flush: 'animationFrame' });
+
+  s.count = 1;
+  assert.equal(seen, 0);
+  flushSync();
+  assert.equal(seen, 1);
+});
+
+test('a custom scheduler decides when the effect re-runs', () => {
+  const s = state({ count: 0 });
+  const queued = [];
+  let seen = null;
+  effect(() => { seen = s.count; }, { scheduler: run => queued.push(run) });
+
+  s.count = 1;
+  assert.equal(seen, 0);
+  assert.equal(queued.length, 1);
+  queued[0]();
+  assert.equal(seen, 1);
+});
+
+test('unknown flush modes fall back to sync', () => {
+  const s = state({ count: 0 });
+  let seen = null;
+  const warnings = [];
+  const warn = window.console.warn;
+  window.console.warn = (message) => warnings.push(message);
+  try {
+    effect(() => { seen = s.count; }, { flush: 'later' });
+  } finally {
+    window.console.warn = warn;
+  }
+  assert.equal(warnings.length, 1);
+  s.count = 1;
+  assert.equal(seen, 1);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const window = load([CORE]);
+const { ReactiveUtils } = window;
+const { state, shallowState, readonly, markRaw, registerRawType, effect, isReactive, isReadonly, isShallow } = ReactiveUtils;
+
+test('shallowState tracks top-level keys and returns nested objects raw', () => {
+  const s = shallowState({ payload: { rows: [] }, count: 0 });
+  let runs = 0;
+  effect(() => { runs++; return s.payload.rows.length + s.count; });
+
+  assert.equal(isShallow(s), true);
+  assert.equal(isReactive(s.payload), false);
+  s.payload.rows.push(1);
+  assert.equal(runs, 1);
+  s.payload = { rows: [1, 2] };
+  assert.equal(runs, 2);
+});
+
+test('readonly views warn on writes and follow the source', () => {
+  const source = state({ user: { name: 'a' } });
+  const view = readonly(source);
+  const seen = [];
+  effect(() => seen.push(view.user.name));
+
+  const warnings = [];
+  const warn = window.console.warn;
+  window.console.warn = (message) => warnings.push(message);
+  try {
+    view.user.name = 'b';
+    delete view.user;
+  } finally {
+    window.console.warn = warn;
+  }
+
+  assert.equal(warnings.length, 2);
+  assert.equal(source.user.name, 'a');
+  assert.equal(isReadonly(view.user), true);
+
+  source.user.name = 'c';
+  assert.deepEqual(seen, ['a', 'c']);
+});
+
+test('markRaw objects are stored as they are', () => {
+  const map = markRaw({ big: true });
+  const s = state({ map });
+  assert.equal(s.map, map);
+  assert.equal(isReactive(s.map), false);
+});
+
+test('registerRawType keeps instances of a class out of reactivity', () => {
+  class Vector { constructor() { this.x = 0; } }
+  registerRawType(Vector, 'Matrix');
+  class Matrix {}
+  const s = state({ v: new Vector(), m: new Matrix(), plain: {} });
+  assert.equal(isReactive(s.v), false);
+  assert.equal(isReactive(s.m), false);
+  assert.equal(isReactive(s.plain), true);
+});
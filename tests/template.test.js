@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const HTML = `<!doctype html><body>
+  <template id="row">
+    <li data-bind-attr="class: status; title: user.email">
+      <span data-bind="user.name"></span>
+      <em data-if="!user.active">inactive</em>
+      <button data-on="click: remove">x</button>
+    </li>
+  </template>
+  <ul id="list"></ul>
+</body>`;
+
+const setup = () => {
+  const window = load([CORE, '04_reactive/14_dh-reactive-expressions.js', '04_reactive/13_dh-reactive-template.js'], HTML);
+  return { window, ReactiveUtils: window.ReactiveUtils, list: window.document.getElementById('list') };
+};
+
+test('binds text, attributes and data-if to the scope', () => {
+  const { ReactiveUtils, list } = setup();
+  const scope = ReactiveUtils.state({
+    status: 'open',
+    user: { name: 'Ada', email: 'ada@example.com', active: true }
+  });
+
+  list.appendChild(ReactiveUtils.template('#row', scope));
+  const li = list.querySelector('li');
+  assert.equal(li.className, 'open');
+  assert.equal(li.title, 'ada@example.com');
+  assert.equal(li.querySelector('span').textContent, 'Ada');
+  assert.equal(li.querySelector('em'), null);
+
+  scope.user.name = 'Grace';
+  scope.user.active = false;
+  scope.status = false;
+  assert.equal(li.querySelector('span').textContent, 'Grace');
+  assert.ok(li.querySelector('em'));
+  assert.equal(li.hasAttribute('class'), false);
+});
+
+test('data-on calls the scope method with the event and scope', () => {
+  const { ReactiveUtils, list, window } = setup();
+  const calls = [];
+  const scope = ReactiveUtils.state({
+    status: '', user: { name: '', email: '', active: true },
+    remove(event, s) { calls.push([event.type, s]); }
+  });
+
+  list.appendChild(ReactiveUtils.template('#row', scope));
+  list.querySelector('button').dispatchEvent(new window.Event('click'));
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][0], 'click');
+  assert.equal(calls[0][1], scope);
+});
+
+test('hooks are expressions and may use $event in data-on', () => {
+  const window = load([CORE, '04_reactive/14_dh-reactive-expressions.js', '04_reactive/13_dh-reactive-template.js'], `
+    <template id="t">
+      <p data-bind="count * 2" data-bind-attr="hidden: count > 3"></p>
+      <button data-on="click: count += $event.detail">+</button>
+    </template>`);
+  const { ReactiveUtils, document } = window;
+  const scope = ReactiveUtils.state({ count: 1 });
+  const fragment = ReactiveUtils.template('#t', scope);
+  document.body.appendChild(fragment);
+
+  const p = document.querySelector('p');
+  assert.equal(p.textContent, '2');
+  document.querySelector('button').dispatchEvent(new window.CustomEvent('click', { detail: 3 }));
+  assert.equal(scope.count, 4);
+  assert.equal(p.textContent, '8');
+  assert.equal(p.hasAttribute('hidden'), true);
+});
+
+test('template() reports a missing expressions module', () => {
+  const window = load([CORE, '04_reactive/13_dh-reactive-template.js'], HTML);
+  const errors = [];
+  window.console.error = (...args) => errors.push(args.join(' '));
+  assert.equal(window.ReactiveUtils.template('#row', {}), null);
+  assert.match(errors[0], /ReactiveExpressions not found/);
+});
+
+test('without a scope returns a reusable row function', () => {
+  const { ReactiveUtils, list } = setup();
+  const row = ReactiveUtils.template('#row');
+  assert.equal(typeof row, 'function');
+
+  ['a', 'b'].forEach(name => {
+    list.appendChild(row(ReactiveUtils.state({ status: '', user: { name, email: '', active: true } })));
+  });
+  assert.deepEqual(Array.from(list.querySelectorAll('span'), el => el.textContent), ['a', 'b']);
+});
+
+test('dispose stops updates and removes the nodes', () => {
+  const { ReactiveUtils, list } = setup();
+  const scope = ReactiveUtils.state({ status: '', user: { name: 'a', email: '', active: true } });
+  const fragment = ReactiveUtils.template('#row', scope);
+  list.appendChild(fragment);
+  const span = list.querySelector('span');
+
+  fragment.dispose();
+  scope.user.name = 'b';
+  assert.equal(list.children.length, 0);
+  assert.equal(span.textContent, 'a');
+});
+
+test('bindings run after ordinary effects in the same flush', () => {
+  const { ReactiveUtils, list } = setup();
+  const order = [];
+  const user = ReactiveUtils.state({ name: 'a', email: '', active: true });
+  const scope = {
+    status: '',
+    user: {
+      get name() { order.push('bind'); return user.name; },
+      email: '', active: true
+    }
+  };
+
+  list.appendChild(ReactiveUtils.template('#row', scope));
+  ReactiveUtils.effect(() => { user.name; order.push('effect'); });
+  order.length = 0;
+
+  ReactiveUtils.batch(() => { user.name = 'b'; });
+  assert.deepEqual(order, ['effect', 'bind']);
+});
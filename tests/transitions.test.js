@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const setup = () => {
+  const window = load([CORE, '03_conditions/01_dh-conditional-rendering.js'], '<p id="status"></p>');
+  const { ReactiveUtils, Conditions, document } = window;
+  const status = ReactiveUtils.state({ value: 'loading' });
+  const el = document.getElementById('status');
+  const conditions = {
+    loading: { textContent: 'Loading' },
+    ready: { textContent: 'Ready' },
+    error: { textContent: 'Error' }
+  };
+  return { ReactiveUtils, Conditions, status, el, conditions };
+};
+
+const classes = (el) => Array.from(el.classList).sort();
+
+test('the first render applies without a transition', () => {
+  const { Conditions, status, el, conditions } = setup();
+  Conditions.whenState(() => status.value, conditions, el, { transition: { duration: 10 } });
+  assert.equal(el.textContent, 'Loading');
+  assert.deepEqual(classes(el), []);
+});
+
+test('a branch change leaves, applies, then enters with CSS classes', async () => {
+  const { Conditions, status, el, conditions } = setup();
+  Conditions.whenState(() => status.value, conditions, el, { transition: { name: 'fade', duration: { leave: 20, enter: 300 } } });
+
+  status.value = 'ready';
+  assert.equal(el.textContent, 'Loading');
+  assert.deepEqual(classes(el), ['fade-leave-active', 'fade-leave-from']);
+
+  await wait(150);
+  assert.equal(el.textContent, 'Ready');
+  assert.ok(el.classList.contains('fade-enter-active'));
+
+  await wait(400);
+  assert.deepEqual(classes(el), []);
+});
+
+test('switching back mid-leave cancels the change', async () => {
+  const { Conditions, status, el, conditions } = setup();
+  Conditions.whenState(() => status.value, conditions, el, { transition: { duration: { leave: 40, enter: 10 } } });
+
+  status.value = 'ready';
+  await wait(10);
+  status.value = 'loading';
+  await wait(200);
+  assert.equal(el.textContent, 'Loading');
+  assert.deepEqual(classes(el), []);
+});
+
+test('a newer change replaces the one in flight', async () => {
+  const { Conditions, status, el, conditions } = setup();
+  Conditions.whenState(() => status.value, conditions, el, { transition: { duration: 20 } });
+
+  status.value = 'ready';
+  await wait(5);
+  status.value = 'error';
+  await wait(200);
+  assert.equal(el.textContent, 'Error');
+  assert.deepEqual(classes(el), []);
+});
+
+test('appear, skipped phases and disposal', async () => {
+  const { Conditions, status, el, conditions } = setup();
+  const stop = Conditions.whenState(() => status.value, conditions, el, {
+    transition: { appear: true, leave: false, duration: 20 }
+  });
+  assert.ok(el.classList.contains('when-enter-active'));
+  await wait(200);
+
+  status.value = 'ready';
+  assert.equal(el.textContent, 'Ready');
+
+  stop();
+  assert.deepEqual(classes(el), []);
+  status.value = 'error';
+  await wait(200);
+  assert.equal(el.textContent, 'Ready');
+});
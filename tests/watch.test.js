@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load, CORE } from './helpers/dom.js';
+
+const { ReactiveUtils } = load([CORE]);
+const { state, watch } = ReactiveUtils;
+
+test('immediate fires once with the current value', () => {
+  const s = state({ count: 1 });
+  const calls = [];
+  s.$watch('count', (value, old) => calls.push([value, old]), { immediate: true });
+  assert.deepEqual(calls, [[1, undefined]]);
+
+  s.count = 2;
+  assert.deepEqual(calls, [[1, undefined], [2, 1]]);
+});
+
+test('deep watches nested changes and passes a snapshot as oldValue', () => {
+  const s = state({ user: { address: { city: 'Oslo' } } });
+  const calls = [];
+  s.$watch('user', (value, old) => calls.push([value.address.city, old.address.city]), { deep: true });
+
+  s.user.address.city = 'Bergen';
+  assert.deepEqual(calls, [['Bergen', 'Oslo']]);
+});
+
+test('without deep, nested changes are ignored', () => {
+  const s = state({ user: { name: 'a' } });
+  let calls = 0;
+  s.$watch('user', () => calls++);
+  s.user.name = 'b';
+  assert.equal(calls, 0);
+});
+
+test('dot paths watch one nested value', () => {
+  const s = state({ user: { name: 'a', age: 1 } });
+  const calls = [];
+  s.$watch('user.name', value => calls.push(value));
+  s.user.age = 2;
+  s.user.name = 'b';
+  assert.deepEqual(calls, ['b']);
+});
+
+test('once stops after the first change', () => {
+  const s = state({ count: 0 });
+  let calls = 0;
+  const stop = s.$watch('count', () => calls++, { once: true });
+  s.count = 1;
+  s.count = 2;
+  assert.equal(calls, 1);
+  assert.equal(stop.effect.active, false);
+});
+
+test('equals decides what counts as a change', () => {
+  const s = state({ text: 'a' });
+  let calls = 0;
+  s.$watch('text', () => calls++, { equals: (a, b) => a.toLowerCase() === b.toLowerCase() });
+  s.text = 'A';
+  assert.equal(calls, 0);
+  s.text = 'b';
+  assert.equal(calls, 1);
+});
+
+test('ReactiveUtils.watch passes options to every key and returns one disposer', () => {
+  const s = state({ a: 1, b: 1 });
+  const calls = [];
+  const stop = watch(s, { a: v => calls.push(['a', v]), b: v => calls.push(['b', v]) }, { immediate: true });
+  assert.deepEqual(calls, [['a', 1], ['b', 1]]);
+
+  stop();
+  s.a = 2;
+  assert.equal(calls.length, 2);
+});